@@ -11,13 +11,75 @@ const config = {
       'https://www.googleapis.com/auth/drive.metadata'
     ]
   },
+  auth: {
+    // 'browser' opens the consent screen; 'device' prints a code to enter on another device, but Google's device
+    // flow does not grant the full Drive scope above, so configuration validation refuses it for transfers;
+    // 'service-account' impersonates domain users with the key in paths.credentials (Workspace domain-wide delegation)
+    // and is the mode to use on headless servers
+    mode: process.env.AUTH_MODE || 'browser',
+    deviceCodeEndpoint: process.env.GOOGLE_DEVICE_CODE_ENDPOINT || 'https://oauth2.googleapis.com/device/code',
+    tokenEndpoint: process.env.GOOGLE_TOKEN_ENDPOINT || 'https://oauth2.googleapis.com/token',
+    // How long to wait for the browser to hit the local redirect URI before asking for the code
+    loopbackTimeout: parseInt(process.env.AUTH_LOOPBACK_TIMEOUT, 10) || 300000
+  },
+  tokens: {
+    // 'encrypted-file' keeps one encrypted file per user; 'vault' keeps everyone in a single encrypted file
+    backend: process.env.TOKEN_BACKEND || 'encrypted-file',
+    // 32-byte key as hex or base64; takes precedence over the passphrase
+    encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+    passphrase: process.env.TOKEN_PASSPHRASE,
+    vaultPath: process.env.TOKEN_VAULT_PATH || './tokens/tokens.vault'
+  },
+  rateLimit: {
+    // Drive API calls in flight at once, shared by every service in the process
+    concurrency: parseInt(process.env.API_CONCURRENCY, 10) || 4,
+    // Token bucket: sustained requests per second and how many may burst at once
+    requestsPerSecond: parseFloat(process.env.API_REQUESTS_PER_SECOND) || 8,
+    burst: parseInt(process.env.API_BURST, 10) || 8,
+    // Rate-limit (403/429) and server (5xx) errors are retried with exponential backoff
+    maxRetries: process.env.API_MAX_RETRIES !== undefined ? parseInt(process.env.API_MAX_RETRIES, 10) : 5,
+    baseDelay: parseInt(process.env.API_RETRY_BASE_DELAY, 10) || 1000,
+    maxDelay: parseInt(process.env.API_RETRY_MAX_DELAY, 10) || 32000
+  },
+  transfer: {
+    // With moveToNewOwnerDrive, transferred files are placed under this folder in the new owner's My Drive
+    mirrorRootName: process.env.MIRROR_ROOT_NAME || 'Transferred from {source}',
+    orphanFolderName: process.env.MIRROR_ORPHAN_FOLDER || 'Files without a folder'
+  },
+  logging: {
+    // debug, info, warn or error; debug used to be switched on by NODE_ENV=development
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info'),
+    // Comma-separated: console (stdout), stderr, file (JSON lines); the CLI swaps console for stderr
+    transports: (process.env.LOG_TRANSPORTS || 'console,file').split(',').map(name => name.trim()).filter(Boolean),
+    dir: process.env.LOG_DIR || './logs',
+    // A day's file is rotated early once it reaches maxSize; rotated files are deleted after maxAgeDays
+    // and only the newest maxFiles are kept
+    maxSize: parseInt(process.env.LOG_MAX_SIZE, 10) || 10 * 1024 * 1024,
+    maxAgeDays: parseInt(process.env.LOG_MAX_AGE_DAYS, 10) || 14,
+    maxFiles: parseInt(process.env.LOG_MAX_FILES, 10) || 30,
+    // 'none', 'redact' or 'hash': hides email addresses, file names and token-like strings
+    // File names inside free-text messages (e.g. Drive errors) are not recognized and stay visible
+    redaction: process.env.LOG_REDACTION || 'none',
+    // Required by 'hash'; keep it secret and stable, or the same address hashes differently between runs
+    hashSalt: process.env.LOG_HASH_SALT || '',
+    stackTraces: process.env.LOG_STACK_TRACES === 'true'
+  },
   app: {
     port: process.env.PORT || 3000,
+    // The API server only listens locally unless told otherwise, and refuses other hosts without API_KEY
+    host: process.env.HOST || '127.0.0.1',
+    // When set, API requests must send "Authorization: Bearer <API_KEY>"
+    apiKey: process.env.API_KEY,
     environment: process.env.NODE_ENV || 'development'
   },
   paths: {
     tokens: './tokens',
-    credentials: './credentials.json'
+    credentials: process.env.GOOGLE_APPLICATION_CREDENTIALS || './credentials.json',
+    plans: './plans',
+    jobs: './jobs',
+    snapshots: './snapshots',
+    audit: './audit',
+    exports: './exports'
   }
 };
 
@@ -2,14 +2,31 @@
 const readline = require('readline-sync');
 const GoogleAuth = require('./auth/auth');
 const TokenManager = require('./auth/tokenManager');
-const { DriveService, TransferService } = require('./services/transferService');
+const SessionRegistry = require('./auth/sessionRegistry');
+const { createTokenStore } = require('./auth/tokenStore');
+const DriveService = require('./services/driveService');
+const TransferService = require('./services/transferService');
+const PlanService = require('./services/planService');
+const ManifestService = require('./services/manifestService');
+const FileResolver = require('./services/fileResolver');
+const FileListingService = require('./services/fileListingService');
+const InventoryService = require('./services/inventoryService');
+const OffboardingService = require('./services/offboardingService');
+const SharedDriveMigrationService = require('./services/sharedDriveMigrationService');
+const AccessPolicy = require('./services/accessPolicy');
+const JobStore = require('./services/jobStore');
+const SnapshotStore = require('./services/snapshotStore');
+const RollbackService = require('./services/rollbackService');
 const ValidationUtils = require('./utils/validation');
+const DriveQuery = require('./utils/driveQuery');
 const logger = require('./utils/logger');
 const config = require('../config/config');
 
 class GoogleDriveTransferApp {
   constructor() {
     this.tokenManager = new TokenManager();
+    this.sessions = new SessionRegistry(new GoogleAuth(), this.tokenManager);
+    this.jobStore = new JobStore();
     this.sourceAuth = null;
     this.targetAuth = null;
     this.sourceEmail = null;
@@ -31,6 +48,12 @@ class GoogleDriveTransferApp {
       // Ensure tokens directory exists
       await this.tokenManager.ensureTokensDirectory();
 
+      // Open the encrypted token store and migrate any plaintext tokens into it
+      await this.prepareTokenStore();
+
+      // Offer to resume batch jobs interrupted in an earlier run
+      await this.resumeUnfinishedJobs();
+
       // Show main menu
       await this.showMainMenu();
 
@@ -52,6 +75,9 @@ class GoogleDriveTransferApp {
       validation.missingFields.forEach(field => {
         console.error(`   - Missing: ${field}`);
       });
+      validation.errors.forEach(error => {
+        console.error(`   - ${error}`);
+      });
       console.error('\nPlease check your .env file and credentials.json');
       process.exit(1);
     }
@@ -59,6 +85,33 @@ class GoogleDriveTransferApp {
     logger.info('Configuration validated successfully');
   }
 
+  /**
+   * Opens the encrypted token store shared by authentication and token management
+   * Asks for the passphrase when no key or passphrase is set in the environment
+   */
+  async prepareTokenStore() {
+    // Service account logins never store user tokens
+    if (config.auth.mode === 'service-account') {
+      return;
+    }
+
+    if (!config.tokens.encryptionKey && !config.tokens.passphrase) {
+      config.tokens.passphrase = readline.question('🔒 Enter the token store passphrase: ', {
+        hideEchoBack: true
+      });
+    }
+
+    const tokenStore = createTokenStore();
+    this.tokenManager = new TokenManager(tokenStore);
+    this.sessions = new SessionRegistry(new GoogleAuth(tokenStore), this.tokenManager);
+
+    const migrated = await this.tokenManager.migratePlaintextTokens();
+    if (migrated.length > 0) {
+      console.log(`🔒 Encrypted ${migrated.length} plaintext token file(s): ${migrated.join(', ')}`);
+      logger.info('Migrated plaintext tokens', { users: migrated });
+    }
+  }
+
   /**
    * Displays the main menu and handles user choices
    */
@@ -67,11 +120,21 @@ class GoogleDriveTransferApp {
       console.log('\n📋 Main Menu:');
       console.log('1. Transfer single file ownership');
       console.log('2. Transfer multiple files ownership');
-      console.log('3. List files owned by user');
-      console.log('4. Manage authentication tokens');
-      console.log('5. Exit');
+      console.log('3. Select files by filter and transfer them');
+      console.log('4. Import a transfer manifest (CSV/JSON)');
+      console.log('5. Transfer folder ownership (including subfolders)');
+      console.log('6. Offboard an account (transfer everything it owns)');
+      console.log('7. Move files to a shared drive');
+      console.log('8. Transfer to a personal account (recipient accepts)');
+      console.log('9. Create a transfer plan (dry run)');
+      console.log('10. Execute a saved transfer plan');
+      console.log('11. Roll back transfers');
+      console.log('12. List files owned by user');
+      console.log('13. Inventory an account before offboarding');
+      console.log('14. Manage authentication tokens');
+      console.log('15. Exit');
 
-      const choice = readline.question('\nSelect an option (1-5): ');
+      const choice = readline.question('\nSelect an option (1-15): ');
 
       switch (choice) {
         case '1':
@@ -81,12 +144,42 @@ class GoogleDriveTransferApp {
           await this.handleMultipleFileTransfer();
           break;
         case '3':
-          await this.handleListFiles();
+          await this.handleFilteredTransfer();
           break;
         case '4':
-          await this.handleTokenManagement();
+          await this.handleManifestTransfer();
           break;
         case '5':
+          await this.handleFolderTransfer();
+          break;
+        case '6':
+          await this.handleOffboarding();
+          break;
+        case '7':
+          await this.handleSharedDriveMigration();
+          break;
+        case '8':
+          await this.handlePendingOwnerTransfer();
+          break;
+        case '9':
+          await this.handleCreatePlan();
+          break;
+        case '10':
+          await this.handleExecutePlan();
+          break;
+        case '11':
+          await this.handleRollback();
+          break;
+        case '12':
+          await this.handleListFiles();
+          break;
+        case '13':
+          await this.handleInventory();
+          break;
+        case '14':
+          await this.handleTokenManagement();
+          break;
+        case '15':
           console.log('\n👋 Goodbye!');
           process.exit(0);
         default:
@@ -106,7 +199,7 @@ class GoogleDriveTransferApp {
       // Get user inputs
       const sourceEmail = this.getUserInput('Enter source account email: ');
       const targetEmail = this.getUserInput('Enter target account email: ');
-      const fileId = this.getUserInput('Enter Google Drive file ID: ');
+      const fileId = this.getFileId('Enter Google Drive file ID or link: ');
 
       // Validate inputs
       const validation = ValidationUtils.validateTransferParams(sourceEmail, targetEmail, [fileId]);
@@ -116,10 +209,19 @@ class GoogleDriveTransferApp {
         return;
       }
 
+      if (ValidationUtils.isConsumerAccount(targetEmail)) {
+        console.log(`⚠️ ${targetEmail} is a personal account; use "Transfer to a personal account" if the transfer is rejected.`);
+      }
+
       // Authenticate both accounts
       console.log('\n🔐 Authenticating accounts...');
       const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, targetEmail);
 
+      const [file] = await this.resolveFiles(sourceAuth, [fileId]);
+      if (!file) {
+        return;
+      }
+
       // Create transfer service and execute transfer
       const transferService = new TransferService(sourceAuth, targetAuth);
       
@@ -133,7 +235,11 @@ class GoogleDriveTransferApp {
       console.log(`\n📋 Transfer Details:`);
       console.log(`   Source: ${preconditions.currentOwner}`);
       console.log(`   Target: ${targetEmail}`);
-      console.log(`   File: ${preconditions.fileName}`);
+      console.log(`   File: ${preconditions.fileName} (${file.type})`);
+
+      const accessPolicy = this.promptAccessPolicy();
+      const moveToNewOwnerDrive = this.askMirrorFolders(sourceEmail, targetEmail);
+      this.printAccessPolicy(accessPolicy);
 
       const confirm = readline.question('\nProceed with transfer? (y/N): ');
       if (confirm.toLowerCase() !== 'y') {
@@ -142,16 +248,24 @@ class GoogleDriveTransferApp {
       }
 
       // Execute transfer
-      logger.logTransferStart(sourceEmail, targetEmail, 1);
-      const result = await transferService.transferFileOwnership(fileId, targetEmail, {
-        sendNotificationEmail: true
-      });
+      const operationId = logger.logTransferStart(sourceEmail, targetEmail, 1);
+      console.log(`🧾 Operation ID: ${operationId}`);
 
-      if (result.success) {
-        console.log('\n✅ Transfer completed successfully!');
-        logger.logTransferComplete({ successful: 1, failed: 0, total: 1 });
+      try {
+        await transferService.transferFileOwnership(fileId, targetEmail, {
+          sendNotificationEmail: true,
+          moveToNewOwnerDrive,
+          accessPolicy,
+          operationId
+        });
+      } catch (error) {
+        logger.logTransferComplete({ successful: 0, failed: 1, total: 1 }, operationId);
+        throw error;
       }
 
+      console.log('\n✅ Transfer completed successfully!');
+      logger.logTransferComplete({ successful: 1, failed: 0, total: 1 }, operationId);
+
     } catch (error) {
       logger.error('Single file transfer failed', error);
       console.error(`❌ Transfer failed: ${error.message}`);
@@ -170,31 +284,44 @@ class GoogleDriveTransferApp {
       const sourceEmail = this.getUserInput('Enter source account email: ');
       const targetEmail = this.getUserInput('Enter target account email: ');
       
-      console.log('\nEnter file IDs (one per line, empty line to finish):');
-      const fileIds = this.getMultipleFileIds();
+      console.log('\nEnter file IDs or links (one per line, empty line to finish):');
+      const enteredIds = this.getMultipleFileIds();
 
-      if (fileIds.length === 0) {
+      if (enteredIds.length === 0) {
         console.log('No file IDs provided.');
         return;
       }
 
       // Validate inputs
-      const validation = ValidationUtils.validateTransferParams(sourceEmail, targetEmail, fileIds);
+      const validation = ValidationUtils.validateTransferParams(sourceEmail, targetEmail, enteredIds);
       if (!validation.valid) {
         console.error('❌ Validation errors:');
         validation.errors.forEach(error => console.error(`   - ${error}`));
         return;
       }
 
+      if (ValidationUtils.isConsumerAccount(targetEmail)) {
+        console.log(`⚠️ ${targetEmail} is a personal account; use "Transfer to a personal account" if the transfer is rejected.`);
+      }
+
       // Authenticate accounts
       console.log('\n🔐 Authenticating accounts...');
       const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, targetEmail);
 
+      const fileIds = (await this.resolveFiles(sourceAuth, enteredIds)).map(file => file.id);
+      if (fileIds.length === 0) {
+        return;
+      }
+
+      const accessPolicy = this.promptAccessPolicy();
+      const moveToNewOwnerDrive = this.askMirrorFolders(sourceEmail, targetEmail);
+
       // Show transfer summary
       console.log(`\n📋 Transfer Summary:`);
       console.log(`   Source: ${sourceEmail}`);
       console.log(`   Target: ${targetEmail}`);
       console.log(`   Files: ${fileIds.length}`);
+      this.printAccessPolicy(accessPolicy);
 
       const confirm = readline.question('\nProceed with batch transfer? (y/N): ');
       if (confirm.toLowerCase() !== 'y') {
@@ -202,33 +329,17 @@ class GoogleDriveTransferApp {
         return;
       }
 
-      // Execute batch transfer
-      const transferService = new TransferService(sourceAuth, targetAuth);
-      logger.logTransferStart(sourceEmail, targetEmail, fileIds.length);
-
-      const batchResult = await transferService.batchTransferOwnership(fileIds, targetEmail, {
-        delayBetweenTransfers: 1500, // 1.5 seconds between transfers
-        continueOnError: true,
-        sendNotificationEmail: true
+      await this.runBatchTransfer({
+        sourceEmail,
+        targetEmail,
+        sourceAuth,
+        targetAuth,
+        fileIds,
+        type: 'batch',
+        accessPolicy,
+        moveToNewOwnerDrive
       });
 
-      // Display results
-      console.log('\n📊 Transfer Results:');
-      console.log(`   ✅ Successful: ${batchResult.summary.successful}`);
-      console.log(`   ❌ Failed: ${batchResult.summary.failed}`);
-      console.log(`   📁 Total: ${batchResult.summary.total}`);
-
-      // Show failed transfers if any
-      const failedTransfers = batchResult.results.filter(r => !r.success);
-      if (failedTransfers.length > 0) {
-        console.log('\n❌ Failed transfers:');
-        failedTransfers.forEach(transfer => {
-          console.log(`   - ${transfer.fileId}: ${transfer.error}`);
-        });
-      }
-
-      logger.logTransferComplete(batchResult.summary);
-
     } catch (error) {
       logger.error('Multiple file transfer failed', error);
       console.error(`❌ Batch transfer failed: ${error.message}`);
@@ -236,167 +347,1329 @@ class GoogleDriveTransferApp {
   }
 
   /**
-   * Handles listing files owned by a user
+   * Selects the source account's files with filters (type, name, dates, folder, ...) and transfers them
    */
-  async handleListFiles() {
+  async handleFilteredTransfer() {
     try {
-      console.log('\n📋 List User Files');
-      console.log('==================');
+      console.log('\n🔎 Select Files by Filter');
+      console.log('=========================');
 
-      const userEmail = this.getUserInput('Enter user email: ');
-      
-      if (!ValidationUtils.isValidEmail(userEmail)) {
-        console.error('❌ Invalid email address');
+      const sourceEmail = this.getUserInput('Enter source account email: ');
+      const targetEmail = this.getUserInput('Enter target account email: ');
+
+      const errors = ValidationUtils.validateAccountPair(sourceEmail, targetEmail);
+      if (errors.length > 0) {
+        console.error('❌ Validation errors:');
+        errors.forEach(error => console.error(`   - ${error}`));
         return;
       }
 
-      // Authenticate user
-      const googleAuth = new GoogleAuth();
-      const authClient = await googleAuth.authenticate(userEmail);
-      const driveService = new DriveService(authClient);
+      // Only files the source owns can be transferred
+      const filters = { ...this.promptFileFilters(), owner: sourceEmail };
+      try {
+        DriveQuery.fromFilters(filters);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return;
+      }
 
-      console.log('\n🔍 Fetching files...');
-      
-      // Get user info
-      const userInfo = await driveService.getCurrentUser();
-      console.log(`📧 User: ${userInfo.displayName} (${userInfo.emailAddress})`);
+      console.log('\n🔐 Authenticating accounts...');
+      const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, targetEmail);
 
-      // List files
-      const filesResponse = await driveService.listFiles({
-        pageSize: 50,
-        query: `'${userInfo.emailAddress}' in owners and trashed=false`
-      });
+      console.log('\n🔍 Finding matching files...');
+      const files = await new DriveService(sourceAuth).listAllFiles(filters);
 
-      const files = filesResponse.files;
-      
       if (files.length === 0) {
-        console.log('\n📭 No files found.');
+        console.log('📭 No files match these filters.');
         return;
       }
 
-      console.log(`\n📂 Found ${files.length} files:`);
-      console.log(''.padEnd(80, '-'));
-      
-      files.forEach((file, index) => {
-        console.log(`${(index + 1).toString().padStart(3)}. ${file.name}`);
-        console.log(`     ID: ${file.id}`);
-        console.log(`     Type: ${file.mimeType.split('/').pop()}`);
-        if (file.webViewLink) {
-          console.log(`     Link: ${file.webViewLink}`);
-        }
-        console.log('');
+      const shown = files.slice(0, 20);
+      console.log(`\n📂 ${files.length} matching files:`);
+      shown.forEach(file => {
+        const modified = file.modifiedTime ? file.modifiedTime.split('T')[0] : '';
+        console.log(`   ${file.name} (${FileResolver.describeType(file.mimeType)}) ${modified}`);
+      });
+      if (files.length > shown.length) {
+        console.log(`   ... and ${files.length - shown.length} more`);
+      }
+
+      const accessPolicy = this.promptAccessPolicy();
+      const moveToNewOwnerDrive = this.askMirrorFolders(sourceEmail, targetEmail);
+
+      console.log(`\n📋 Transfer Summary:`);
+      console.log(`   Source: ${sourceEmail}`);
+      console.log(`   Target: ${targetEmail}`);
+      console.log(`   Files: ${files.length}`);
+      this.printAccessPolicy(accessPolicy);
+
+      const confirm = readline.question('\nProceed with batch transfer? (y/N): ');
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Transfer cancelled.');
+        return;
+      }
+
+      await this.runBatchTransfer({
+        sourceEmail,
+        targetEmail,
+        sourceAuth,
+        targetAuth,
+        fileIds: files.map(file => file.id),
+        type: 'filter',
+        accessPolicy,
+        moveToNewOwnerDrive
       });
 
     } catch (error) {
-      logger.error('List files failed', error);
-      console.error(`❌ Failed to list files: ${error.message}`);
+      logger.error('Filtered transfer failed', error);
+      console.error(`❌ Batch transfer failed: ${error.message}`);
     }
   }
 
   /**
-   * Handles token management operations
+   * Records a batch as a job, so it can be resumed if the process dies, then runs it
    */
-  async handleTokenManagement() {
+  async runBatchTransfer({
+    sourceEmail,
+    targetEmail,
+    sourceAuth,
+    targetAuth,
+    fileIds,
+    type,
+    accessPolicy = null,
+    moveToNewOwnerDrive = false
+  }) {
+    const job = await this.jobStore.createJob({
+      source: sourceEmail,
+      target: targetEmail,
+      fileIds,
+      options: {
+        // Pacing and retries are handled by the shared request scheduler
+        concurrency: config.rateLimit.concurrency,
+        continueOnError: true,
+        sendNotificationEmail: true,
+        accessPolicy,
+        moveToNewOwnerDrive
+      }
+    });
+    console.log(`🗂️ Job ${job.id} created`);
+
+    const transferService = new TransferService(sourceAuth, targetAuth);
+    const operationId = logger.logTransferStart(sourceEmail, targetEmail, fileIds.length, { type });
+
+    const batchResult = await transferService.runBatchJob(job, this.jobStore, { operationId });
+
+    this.printBatchResult(batchResult);
+    logger.logTransferComplete(batchResult.summary, operationId);
+
+    return batchResult;
+  }
+
+  /**
+   * Transfers the files listed in a CSV or JSON manifest, each row to its own target owner
+   * Every row is validated before anything runs, and a copy of the manifest is written with the results
+   */
+  async handleManifestTransfer() {
     try {
-      console.log('\n🔑 Token Management');
-      console.log('===================');
+      console.log('\n🗒️ Manifest Transfer');
+      console.log('====================');
 
-      const authenticatedUsers = await this.tokenManager.listAuthenticatedUsers();
-      
-      if (authenticatedUsers.length === 0) {
-        console.log('📭 No saved authentication tokens found.');
+      const sourceEmail = this.getUserInput('Enter source account email: ');
+      const manifestPath = readline.question('Enter manifest file path (.csv or .json): ').trim();
+
+      const manifestService = new ManifestService();
+      const manifest = await manifestService.loadManifest(manifestPath);
+
+      const validation = manifestService.validateManifest(manifest, sourceEmail);
+      if (!validation.valid) {
+        console.error(`❌ ${validation.problems.length} rows have errors; nothing was transferred:`);
+        validation.problems.forEach(problem => {
+          console.error(`   Row ${problem.rowNumber}: ${problem.errors.join('; ')}`);
+        });
         return;
       }
 
-      console.log('\n👥 Users with saved tokens:');
-      authenticatedUsers.forEach((user, index) => {
-        console.log(`${index + 1}. ${user}`);
+      const groups = manifestService.groupByTarget(manifest);
+
+      console.log(`\n📋 Manifest Summary:`);
+      console.log(`   Source: ${sourceEmail}`);
+      console.log(`   Files: ${manifest.rows.length}`);
+      groups.forEach(group => {
+        console.log(`   → ${group.targetEmail}: ${group.rows.length} files`);
       });
 
-      console.log('\nOptions:');
-      console.log('1. Remove tokens for a user');
-      console.log('2. Back to main menu');
+      const accessPolicy = this.promptAccessPolicy();
+      const moveToNewOwnerDrive = this.askMirrorFolders(sourceEmail, 'each new owner');
+      this.printAccessPolicy(accessPolicy);
+
+      const confirm = readline.question('\nProceed with manifest transfer? (y/N): ');
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Transfer cancelled.');
+        return;
+      }
 
-      const choice = readline.question('\nSelect an option (1-2): ');
+      for (const group of groups) {
+        console.log(`\n🎯 Transferring ${group.rows.length} files to ${group.targetEmail}`);
 
-      if (choice === '1') {
-        const userIndex = parseInt(readline.question('Enter user number to remove: ')) - 1;
-        
-        if (userIndex >= 0 && userIndex < authenticatedUsers.length) {
-          const userEmail = authenticatedUsers[userIndex];
-          const confirm = readline.question(`Remove tokens for ${userEmail}? (y/N): `);
-          
-          if (confirm.toLowerCase() === 'y') {
-            await this.tokenManager.removeTokens(userEmail);
-            console.log(`✅ Tokens removed for ${userEmail}`);
-          }
-        } else {
-          console.log('❌ Invalid user number');
+        let transferService;
+        try {
+          const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, group.targetEmail);
+          transferService = new TransferService(sourceAuth, targetAuth);
+        } catch (error) {
+          console.error(`❌ Skipping ${group.targetEmail}: ${error.message}`);
+          manifestService.skipGroup(group, error.message);
+          continue;
         }
+
+        const operationId = logger.logTransferStart(sourceEmail, group.targetEmail, group.rows.length, { type: 'manifest' });
+        await manifestService.runGroup(group, transferService, {
+          continueOnError: true,
+          moveToNewOwnerDrive,
+          accessPolicy,
+          operationId
+        });
+        logger.logTransferComplete(manifestService.summarize({ rows: group.rows }), operationId);
       }
 
+      const summary = manifestService.summarize(manifest);
+      const resultsPath = await manifestService.writeResults(manifest);
+
+      console.log('\n📊 Manifest Results:');
+      console.log(`   ✅ Transferred: ${summary.transferred}`);
+      console.log(`   ✔️ Already owner: ${summary.alreadyOwner}`);
+      console.log(`   ❌ Failed: ${summary.failed}`);
+      console.log(`   ⏭️ Skipped: ${summary.skipped}`);
+      console.log(`   💾 Results written to ${resultsPath}`);
+
     } catch (error) {
-      logger.error('Token management failed', error);
-      console.error(`❌ Token management failed: ${error.message}`);
+      logger.error('Manifest transfer failed', error);
+      console.error(`❌ Manifest transfer failed: ${error.message}`);
     }
   }
 
   /**
-   * Authenticates both source and target accounts
+   * Lists batch jobs that did not finish and offers to resume each one
+   * Completed files are skipped on resume
    */
-  async authenticateAccounts(sourceEmail, targetEmail) {
-    const googleAuth = new GoogleAuth();
-    
-    console.log(`🔐 Authenticating source account: ${sourceEmail}`);
-    const sourceAuth = await googleAuth.authenticate(sourceEmail);
-    
-    console.log(`🔐 Authenticating target account: ${targetEmail}`);
-    const targetAuth = await googleAuth.authenticate(targetEmail);
-    
-    return { sourceAuth, targetAuth };
+  async resumeUnfinishedJobs() {
+    const jobs = await this.jobStore.listUnfinishedJobs();
+
+    if (jobs.length === 0) {
+      return;
+    }
+
+    console.log(`\n🗂️ Found ${jobs.length} unfinished batch job(s):`);
+    jobs.forEach((job, index) => {
+      const summary = this.jobStore.summarize(job);
+      console.log(`${index + 1}. ${job.id} (${job.status}, last update ${job.updatedAt})`);
+      console.log(`     ${job.source} → ${job.target}: ${summary.successful} done, ` +
+        `${summary.failed} failed, ${summary.pending} pending of ${summary.total}`);
+    });
+
+    for (const job of jobs) {
+      const confirm = readline.question(`\nResume job ${job.id}? (y/N): `);
+      if (confirm.toLowerCase() !== 'y') {
+        continue;
+      }
+
+      try {
+        console.log('\n🔐 Authenticating accounts...');
+        const { sourceAuth, targetAuth } = await this.authenticateAccounts(job.source, job.target);
+        const transferService = new TransferService(sourceAuth, targetAuth);
+
+        logger.info('Resuming batch job', { jobId: job.id });
+        const operationId = logger.logTransferStart(job.source, job.target,
+          this.jobStore.getRemainingFileIds(job).length, { type: 'batch_resume' });
+        const batchResult = await transferService.runBatchJob(job, this.jobStore, { operationId });
+
+        this.printBatchResult(batchResult);
+        logger.logTransferComplete(batchResult.summary, operationId);
+      } catch (error) {
+        logger.error(`Resuming job ${job.id} failed`, error);
+        console.error(`❌ Could not resume job ${job.id}: ${error.message}`);
+      }
+    }
   }
 
   /**
-   * Gets user input with validation and sanitization
+   * Prints the outcome of a batch job
    */
-  getUserInput(prompt) {
-    const input = readline.question(prompt);
-    return ValidationUtils.sanitizeInput(input);
+  printBatchResult(batchResult) {
+    console.log('\n📊 Transfer Results:');
+    console.log(`   🗂️ Job: ${batchResult.jobId} (${batchResult.status})`);
+    console.log(`   ✅ Successful: ${batchResult.summary.successful}`);
+    console.log(`   ❌ Failed: ${batchResult.summary.failed}`);
+    if (batchResult.summary.pending > 0) {
+      console.log(`   ⏸️ Not yet processed: ${batchResult.summary.pending}`);
+    }
+    console.log(`   📁 Total: ${batchResult.summary.total}`);
+
+    const { retries } = batchResult.summary;
+    if (retries && retries.retries > 0) {
+      console.log(`   🔁 Retried requests: ${retries.retries} (${retries.rateLimited} rate limited, ${retries.serverErrors} server errors, ${retries.networkErrors} network errors)`);
+    }
+
+    const accessChanges = batchResult.results.reduce((count, r) => count + (r.accessChanges || []).length, 0);
+    if (accessChanges > 0) {
+      console.log(`   🔐 Access changes: ${accessChanges}`);
+    }
+
+    // Access the policy could not change is worth a look even though the transfer succeeded
+    batchResult.results
+      .filter(r => r.accessProblems && r.accessProblems.length > 0)
+      .forEach(r => r.accessProblems.forEach(problem => console.log(`   ⚠️ ${r.fileName || r.fileId}: ${problem}`)));
+
+    // Show failed transfers if any
+    const failedTransfers = batchResult.results.filter(r => !r.success);
+    if (failedTransfers.length > 0) {
+      console.log('\n❌ Failed transfers:');
+      failedTransfers.forEach(transfer => {
+        console.log(`   - ${transfer.fileId}: ${transfer.error}`);
+      });
+    }
   }
 
   /**
-   * Gets multiple file IDs from user input
+   * Handles recursive folder ownership transfer
    */
-  getMultipleFileIds() {
-    const fileIds = [];
-    
-    while (true) {
-      const fileId = readline.question('File ID: ').trim();
-      
-      if (fileId === '') {
-        break;
+  async handleFolderTransfer() {
+    try {
+      console.log('\n🌳 Folder Transfer');
+      console.log('==================');
+
+      // Get user inputs
+      const sourceEmail = this.getUserInput('Enter source account email: ');
+      const targetEmail = this.getUserInput('Enter target account email: ');
+      const folderId = this.getFileId('Enter Google Drive folder ID or link: ');
+
+      // Validate inputs
+      const validation = ValidationUtils.validateTransferParams(sourceEmail, targetEmail, [folderId]);
+      if (!validation.valid) {
+        console.error('❌ Validation errors:');
+        validation.errors.forEach(error => console.error(`   - ${error}`));
+        return;
       }
-      
-      if (ValidationUtils.isValidFileId(fileId)) {
-        fileIds.push(fileId);
-        console.log(`✅ Added file ID: ${fileId}`);
-      } else {
-        console.log(`❌ Invalid file ID: ${fileId}`);
+
+      // Authenticate accounts
+      console.log('\n🔐 Authenticating accounts...');
+      const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, targetEmail);
+
+      const [folder] = await this.resolveFiles(sourceAuth, [folderId]);
+      if (!folder) {
+        return;
+      }
+      if (!folder.isFolder) {
+        console.error(`❌ ${folder.name} is a ${folder.type}, not a folder; use "Transfer single file" instead.`);
+        return;
+      }
+
+      const transferService = new TransferService(sourceAuth, targetAuth);
+
+      // Walk the tree up front so the user knows how much will be transferred
+      console.log('\n🔍 Scanning folder tree...');
+      const tree = await transferService.collectFolderTree(folderId);
+
+      console.log(`\n📋 Transfer Summary:`);
+      console.log(`   Source: ${sourceEmail}`);
+      console.log(`   Target: ${targetEmail}`);
+      console.log(`   Folder: ${tree.root.name}`);
+      console.log(`   Folders: ${tree.summary.folders}`);
+      console.log(`   Files: ${tree.summary.files}`);
+      if (tree.summary.skipped > 0) {
+        console.log(`   Duplicate entries skipped: ${tree.summary.skipped}`);
+      }
+
+      const accessPolicy = this.promptAccessPolicy();
+      const moveToNewOwnerDrive = this.askMirrorFolders(sourceEmail, targetEmail);
+      this.printAccessPolicy(accessPolicy);
+
+      const confirm = readline.question('\nProceed with folder transfer? (y/N): ');
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Transfer cancelled.');
+        return;
       }
+
+      // Execute folder transfer
+      const operationId = logger.logTransferStart(sourceEmail, targetEmail,
+        tree.summary.folders + tree.summary.files, { type: 'folder' });
+
+      // The previewed tree is what gets transferred; pacing is left to the shared request scheduler
+      const folderResult = await transferService.transferFolderOwnership(folderId, targetEmail, {
+        tree,
+        continueOnError: true,
+        sendNotificationEmail: true,
+        moveToNewOwnerDrive,
+        accessPolicy,
+        operationId
+      });
+
+      // Display results per subtree
+      console.log('\n📊 Transfer Results by folder:');
+      this.printFolderResult(folderResult.root, 0);
+
+      logger.logTransferComplete(folderResult.summary, operationId);
+
+    } catch (error) {
+      logger.error('Folder transfer failed', error);
+      console.error(`❌ Folder transfer failed: ${error.message}`);
     }
-    
-    return fileIds;
   }
-}
 
-// Main execution
-if (require.main === module) {
-  const app = new GoogleDriveTransferApp();
-  app.run().catch(error => {
-    logger.error('Unhandled application error', error);
-    console.error('💥 Fatal error:', error.message);
-    process.exit(1);
-  });
+  /**
+   * Transfers everything a departing user owns: folders first, then files and orphans
+   * Ends with a reconciliation of what the source still owns and why
+   */
+  async handleOffboarding() {
+    try {
+      console.log('\n🧳 Offboard an Account');
+      console.log('======================');
+
+      const sourceEmail = this.getUserInput('Enter departing user email: ');
+      const targetEmail = this.getUserInput('Enter target account email: ');
+
+      const errors = ValidationUtils.validateAccountPair(sourceEmail, targetEmail);
+      if (errors.length > 0) {
+        console.error('❌ Validation errors:');
+        errors.forEach(error => console.error(`   - ${error}`));
+        return;
+      }
+
+      if (ValidationUtils.isConsumerAccount(targetEmail)) {
+        console.log(`⚠️ ${targetEmail} is a personal account; ownership can only be offered to it, so most transfers will fail.`);
+      }
+
+      console.log('\n🔐 Authenticating accounts...');
+      const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, targetEmail);
+
+      const transferService = new TransferService(sourceAuth, targetAuth);
+      const offboardingService = new OffboardingService(transferService);
+      const discovery = await offboardingService.discover(sourceEmail);
+
+      console.log(`\n📋 Offboarding Summary:`);
+      console.log(`   Source: ${sourceEmail}`);
+      console.log(`   Target: ${targetEmail}`);
+      console.log(`   Folders: ${discovery.folders.length}`);
+      console.log(`   Files in folders: ${discovery.filesInFolders.length}`);
+      console.log(`   Loose files: ${discovery.looseFiles.length}`);
+      console.log(`   Orphaned files: ${discovery.orphans.length}`);
+      if (discovery.trashed.length > 0) {
+        console.log(`   In the trash (not transferred): ${discovery.trashed.length}`);
+      }
+
+      if (discovery.total === 0) {
+        console.log('\n📭 Nothing to transfer.');
+        return;
+      }
+
+      const accessPolicy = this.promptAccessPolicy();
+      const moveToNewOwnerDrive = this.askMirrorFolders(sourceEmail, targetEmail);
+      this.printAccessPolicy(accessPolicy);
+
+      const confirm = readline.question(`\nTransfer all ${discovery.total} items to ${targetEmail}? (y/N): `);
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Offboarding cancelled.');
+        return;
+      }
+
+      const operationId = logger.logTransferStart(sourceEmail, targetEmail, discovery.total, { type: 'offboarding' });
+      console.log(`🧾 Operation ID: ${operationId}`);
+
+      const run = await offboardingService.run(discovery, targetEmail, {
+        concurrency: config.rateLimit.concurrency,
+        sendNotificationEmail: false,
+        moveToNewOwnerDrive,
+        accessPolicy,
+        operationId
+      });
+      logger.logTransferComplete(run.summary, operationId);
+
+      const remaining = await offboardingService.reconcile(discovery, run);
+
+      console.log('\n📊 Offboarding Results:');
+      console.log(`   ✅ Transferred: ${run.summary.successful}`);
+      console.log(`   ❌ Failed: ${run.summary.failed}`);
+
+      if (remaining.length === 0) {
+        console.log(`\n✅ ${sourceEmail} no longer owns any files.`);
+      } else {
+        console.log(`\n⚠️ ${sourceEmail} still owns ${remaining.length} items:`);
+        remaining.forEach(item => console.log(`   - ${item.name} [${item.id}]: ${item.reason}`));
+      }
+
+    } catch (error) {
+      logger.error('Offboarding failed', error);
+      console.error(`❌ Offboarding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves files and folder trees into a shared drive instead of handing them to another person
+   * Items are checked first, so the user sees what cannot move before anything changes
+   */
+  async handleSharedDriveMigration() {
+    try {
+      console.log('\n🏢 Move to a Shared Drive');
+      console.log('=========================');
+
+      const sourceEmail = this.getUserInput('Enter the account that owns the files: ');
+      if (!ValidationUtils.isValidEmail(sourceEmail)) {
+        console.error('❌ Invalid email address');
+        return;
+      }
+
+      const sourceAuth = await this.sessions.getClient(sourceEmail);
+      const migrationService = new SharedDriveMigrationService(sourceAuth);
+
+      const drives = (await migrationService.listSharedDrives())
+        .filter(drive => SharedDriveMigrationService.MOVING_ROLES.includes(drive.role));
+
+      if (drives.length === 0) {
+        console.log(`❌ ${sourceEmail} is not a Manager or Content manager of any shared drive.`);
+        return;
+      }
+
+      console.log('\nShared drives you can move files into:');
+      drives.forEach((drive, index) => console.log(`${index + 1}. ${drive.name} (${drive.role})`));
+
+      const drive = drives[Number(readline.question(`Select a shared drive (1-${drives.length}): `)) - 1];
+      if (!drive) {
+        console.error('❌ Invalid selection');
+        return;
+      }
+
+      const folderInput = readline.question('Folder in the shared drive (ID or link, Enter for the top level): ').trim();
+      const folderId = folderInput ? FileResolver.extractId(folderInput) || folderInput : null;
+      const destination = await migrationService.resolveDestination(drive.id, folderId);
+
+      console.log('\nEnter the files and folders to move (press Enter on empty line to finish):');
+      const enteredIds = this.getMultipleFileIds();
+
+      const fileIds = (await this.resolveFiles(sourceAuth, enteredIds)).map(file => file.id);
+      if (fileIds.length === 0) {
+        return;
+      }
+
+      const check = await migrationService.migrate(fileIds, destination, { dryRun: true });
+      const blocked = check.results.filter(result => result.status === 'blocked');
+
+      console.log(`\n📋 Move Summary:`);
+      console.log(`   Destination: ${destination.folderName}`);
+      console.log(`   Items that can move: ${check.summary.ready}`);
+      if (check.summary.skipped > 0) {
+        console.log(`   Already in the shared drive: ${check.summary.skipped}`);
+      }
+      if (blocked.length > 0) {
+        console.log(`   Items that cannot move: ${blocked.length}`);
+        blocked.forEach(result => console.log(`   - ${result.path}: ${result.reason}`));
+      }
+
+      if (check.summary.ready === 0) {
+        console.log('\n📭 Nothing can be moved.');
+        return;
+      }
+
+      const confirm = readline.question(`\nMove ${check.summary.ready} items into ${destination.folderName}? (y/N): `);
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Move cancelled.');
+        return;
+      }
+
+      const operationId = logger.logTransferStart(sourceEmail, `shared drive ${drive.name}`, fileIds.length, { type: 'shared_drive' });
+      const migration = await migrationService.migrate(fileIds, destination, { operationId });
+      logger.logTransferComplete(migration.summary, operationId);
+
+      console.log('\n📊 Move Results:');
+      console.log(`   ✅ Moved: ${migration.summary.moved}`);
+      console.log(`   📁 Folders recreated: ${migration.summary.recreated}`);
+      console.log(`   ⏩ Already in the shared drive: ${migration.summary.skipped}`);
+      console.log(`   ⛔ Cannot move: ${migration.summary.blocked}`);
+      console.log(`   ❌ Failed: ${migration.summary.failed}`);
+
+      migration.results
+        .filter(result => result.status === 'failed')
+        .forEach(result => console.log(`   - ${result.path}: ${result.reason}`));
+
+    } catch (error) {
+      logger.error('Shared drive migration failed', error);
+      console.error(`❌ Shared drive migration failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handles the two-phase transfer required for personal (consumer) accounts
+   * The source proposes the new owner, then the target account accepts each file
+   */
+  async handlePendingOwnerTransfer() {
+    try {
+      console.log('\n🤝 Transfer to a Personal Account');
+      console.log('=================================');
+
+      // Get user inputs
+      const sourceEmail = this.getUserInput('Enter source account email: ');
+      const targetEmail = this.getUserInput('Enter target account email: ');
+
+      console.log('\nEnter file IDs or links (one per line, empty line to finish):');
+      const enteredIds = this.getMultipleFileIds();
+
+      if (enteredIds.length === 0) {
+        console.log('No file IDs provided.');
+        return;
+      }
+
+      // Validate inputs
+      const validation = ValidationUtils.validateTransferParams(sourceEmail, targetEmail, enteredIds);
+      if (!validation.valid) {
+        console.error('❌ Validation errors:');
+        validation.errors.forEach(error => console.error(`   - ${error}`));
+        return;
+      }
+
+      // Both accounts are needed: the source proposes, the target accepts
+      console.log('\n🔐 Authenticating accounts...');
+      const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, targetEmail);
+
+      const fileIds = (await this.resolveFiles(sourceAuth, enteredIds)).map(file => file.id);
+      if (fileIds.length === 0) {
+        return;
+      }
+
+      console.log(`\n📋 Transfer Summary:`);
+      console.log(`   Source: ${sourceEmail}`);
+      console.log(`   Target: ${targetEmail}`);
+      console.log(`   Files: ${fileIds.length}`);
+
+      const confirm = readline.question('\nProceed with transfer? (y/N): ');
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Transfer cancelled.');
+        return;
+      }
+
+      const transferService = new TransferService(sourceAuth, targetAuth);
+      const operationId = logger.logTransferStart(sourceEmail, targetEmail, fileIds.length, { type: 'pending_owner' });
+
+      // Phase one: propose the new owner on every file
+      const proposalResult = await transferService.batchProposeOwnership(fileIds, targetEmail, {
+        delayBetweenTransfers: 1500
+      });
+
+      console.log('\n📊 Proposal Results:');
+      console.log(`   📨 Proposed: ${proposalResult.summary.proposed}`);
+      console.log(`   ✅ Already owner: ${proposalResult.summary.accepted}`);
+      console.log(`   ❌ Failed: ${proposalResult.summary.failed}`);
+
+      if (proposalResult.summary.proposed === 0) {
+        transferService.recordProposalAudit(operationId, proposalResult.proposals);
+        logger.logTransferComplete(proposalResult.summary, operationId);
+        return;
+      }
+
+      // Phase two: accept as the target account
+      const acceptResult = await transferService.acceptPendingOwnership(proposalResult.proposals, {
+        acceptTimeout: 120000,
+        pollInterval: 5000
+      });
+
+      const notAccepted = acceptResult.proposals.filter(p => p.status === 'failed');
+      if (notAccepted.length > 0) {
+        console.log('\n❌ Files not transferred:');
+        notAccepted.forEach(p => {
+          console.log(`   - ${p.fileName || p.fileId} [${p.status}]: ${p.error}`);
+        });
+      }
+
+      if (acceptResult.timedOut.length > 0) {
+        console.log('\n⏰ The following files are still pending; the target can accept them later in Drive:');
+        acceptResult.timedOut.forEach(p => {
+          console.log(`   - ${p.fileName || p.fileId} (proposed ${p.proposedAt})`);
+        });
+      }
+
+      transferService.recordProposalAudit(operationId, acceptResult.proposals);
+      logger.logTransferComplete(acceptResult.summary, operationId);
+
+    } catch (error) {
+      logger.error('Pending owner transfer failed', error);
+      console.error(`❌ Transfer failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a dry-run transfer plan and saves it for review
+   * Nothing is changed in Drive; the plan is executed later from its file
+   */
+  async handleCreatePlan() {
+    try {
+      console.log('\n📝 Create Transfer Plan');
+      console.log('=======================');
+
+      // Get user inputs
+      const sourceEmail = this.getUserInput('Enter source account email: ');
+      const targetEmail = this.getUserInput('Enter target account email: ');
+
+      console.log('\nEnter file IDs or links (one per line, empty line to finish):');
+      const enteredIds = this.getMultipleFileIds();
+
+      if (enteredIds.length === 0) {
+        console.log('No file IDs provided.');
+        return;
+      }
+
+      // Validate inputs
+      const validation = ValidationUtils.validateTransferParams(sourceEmail, targetEmail, enteredIds);
+      if (!validation.valid) {
+        console.error('❌ Validation errors:');
+        validation.errors.forEach(error => console.error(`   - ${error}`));
+        return;
+      }
+
+      console.log('\n🔐 Authenticating accounts...');
+      const { sourceAuth, targetAuth } = await this.authenticateAccounts(sourceEmail, targetEmail);
+
+      const fileIds = (await this.resolveFiles(sourceAuth, enteredIds)).map(file => file.id);
+      if (fileIds.length === 0) {
+        return;
+      }
+
+      const accessPolicy = this.promptAccessPolicy();
+
+      const planService = new PlanService(new TransferService(sourceAuth, targetAuth));
+      const plan = await planService.createPlan(fileIds, sourceEmail, targetEmail, {
+        sendNotificationEmail: true,
+        accessPolicy
+      });
+
+      console.log('\n📋 Planned changes:');
+      plan.files.forEach(file => {
+        console.log(`   ${file.fileName || file.fileId} [${file.status}]`);
+        if (file.reason) {
+          console.log(`      ${file.reason}`);
+        }
+        file.actions.forEach(action => {
+          const who = action.emailAddress || action.domain || 'anyone with the link';
+          const role = action.role ? ` -> ${action.role}` : '';
+          const fromRole = action.fromRole ? ` (currently ${action.fromRole})` : '';
+          console.log(`      • ${action.action}: ${who}${fromRole}${role}`);
+        });
+      });
+      this.printAccessPolicy(accessPolicy);
+
+      console.log(`\n📊 Ready: ${plan.summary.ready}, skipped: ${plan.summary.skip}, blocked: ${plan.summary.blocked}`);
+
+      const planPath = await planService.savePlan(plan);
+      console.log(`\n💾 Plan saved to ${planPath}`);
+      console.log('   Have it reviewed, then run it with "Execute a saved transfer plan".');
+      logger.info('Transfer plan created', { planId: plan.id, planPath, summary: plan.summary });
+
+    } catch (error) {
+      logger.error('Plan creation failed', error);
+      console.error(`❌ Plan creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Executes a reviewed transfer plan from its file
+   */
+  async handleExecutePlan() {
+    try {
+      console.log('\n▶️ Execute Transfer Plan');
+      console.log('========================');
+
+      const planPath = readline.question('Enter plan file path: ').trim();
+      const plan = await PlanService.loadPlan(planPath);
+
+      console.log(`\n📋 Plan ${plan.id}`);
+      console.log(`   Created: ${plan.createdAt} by ${plan.createdBy}`);
+      console.log(`   Source: ${plan.source}`);
+      console.log(`   Target: ${plan.target}`);
+      console.log(`   Files to transfer: ${plan.summary.ready} of ${plan.summary.total}`);
+      // The access changes were reviewed with the plan, so they are shown rather than asked for
+      this.printAccessPolicy(AccessPolicy.fromOptions(plan.options.accessPolicy));
+
+      const moveToNewOwnerDrive = this.askMirrorFolders(plan.source, plan.target);
+
+      const confirm = readline.question('\nExecute this plan? (y/N): ');
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Execution cancelled.');
+        return;
+      }
+
+      console.log('\n🔐 Authenticating accounts...');
+      const { sourceAuth, targetAuth } = await this.authenticateAccounts(plan.source, plan.target);
+
+      const planService = new PlanService(new TransferService(sourceAuth, targetAuth));
+      const operationId = logger.logTransferStart(plan.source, plan.target, plan.summary.ready, { type: 'plan' });
+
+      const execution = await planService.executePlan(plan, {
+        delayBetweenTransfers: 1500,
+        moveToNewOwnerDrive,
+        operationId
+      });
+
+      const problems = execution.results.filter(r => !r.success);
+      if (problems.length > 0) {
+        console.log('\n❌ Files not transferred:');
+        problems.forEach(r => console.log(`   - ${r.fileName || r.fileId}: ${r.error}`));
+      }
+
+      logger.logTransferComplete(execution.summary, operationId);
+
+    } catch (error) {
+      logger.error('Plan execution failed', error);
+      console.error(`❌ Plan execution failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rolls back earlier transfers from the permission snapshots taken before them
+   */
+  async handleRollback() {
+    try {
+      console.log('\n⏪ Roll Back Transfers');
+      console.log('=====================');
+
+      const jobId = readline.question('Enter batch job ID (leave empty to enter file IDs): ').trim();
+      let filter;
+
+      if (jobId) {
+        filter = { batchId: jobId };
+      } else {
+        console.log('\nEnter file IDs or links (one per line, empty line to finish):');
+        filter = { fileIds: this.getMultipleFileIds() };
+        if (filter.fileIds.length === 0) {
+          console.log('No file IDs provided.');
+          return;
+        }
+      }
+
+      const snapshots = await new SnapshotStore().findRollbackCandidates(filter);
+      if (snapshots.length === 0) {
+        console.log('No recorded transfers to roll back.');
+        return;
+      }
+
+      const groups = RollbackService.groupByAccounts(snapshots);
+
+      console.log(`\n📋 Rollback Summary:`);
+      groups.forEach(group => {
+        console.log(`   ${group.snapshots.length} files from ${group.target} back to ${group.source}`);
+      });
+
+      const confirm = readline.question('\nProceed with rollback? (y/N): ');
+      if (confirm.toLowerCase() !== 'y') {
+        console.log('Rollback cancelled.');
+        return;
+      }
+
+      const results = [];
+      for (const group of groups) {
+        console.log(`\n🔐 Authenticating ${group.source} and ${group.target}...`);
+        const { sourceAuth, targetAuth } = await this.authenticateAccounts(group.source, group.target);
+
+        const rollback = await new RollbackService(sourceAuth, targetAuth).rollbackSnapshots(group.snapshots);
+        results.push(...rollback.results);
+      }
+
+      // Every file that is not fully back the way it was, with the reasons
+      const problems = results.filter(r => !r.success);
+      if (problems.length > 0) {
+        console.log('\n❌ Files not fully restored:');
+        problems.forEach(r => {
+          console.log(`   - ${r.fileName || r.fileId}:`);
+          r.problems.forEach(problem => console.log(`       ${problem}`));
+        });
+      }
+
+      logger.info('Rollback completed', {
+        restored: results.length - problems.length,
+        notRestored: problems.length
+      });
+
+    } catch (error) {
+      logger.error('Rollback failed', error);
+      console.error(`❌ Rollback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Prints the results of a folder transfer, one line per subtree
+   */
+  printFolderResult(nodeResult, depth) {
+    const indent = '   ' + '  '.repeat(depth);
+    const { successful, failed, skipped, total } = nodeResult.summary;
+
+    console.log(`${indent}📁 ${nodeResult.folderName}: ✅ ${successful}/${total}` +
+      (failed > 0 ? `, ❌ ${failed}` : '') +
+      (skipped > 0 ? `, ⏭️ ${skipped}` : ''));
+
+    nodeResult.results
+      .filter(r => !r.success)
+      .forEach(r => console.log(`${indent}   - ${r.fileName || r.fileId}: ${r.error}`));
+
+    nodeResult.subfolders.forEach(child => this.printFolderResult(child, depth + 1));
+  }
+
+  /**
+   * Handles listing files owned by a user
+   */
+  async handleListFiles() {
+    try {
+      console.log('\n📋 List User Files');
+      console.log('==================');
+
+      const userEmail = this.getUserInput('Enter user email: ');
+      
+      if (!ValidationUtils.isValidEmail(userEmail)) {
+        console.error('❌ Invalid email address');
+        return;
+      }
+
+      const listing = new FileListingService();
+      const sort = readline.question('Sort by name, size or modified [name]: ').trim().toLowerCase() || 'name';
+      const columnList = Object.keys(FileListingService.COLUMNS).join(', ');
+      const columnsInput = readline.question(
+        `Columns (${columnList}) [${FileListingService.DEFAULT_COLUMNS.join(',')}]: `
+      );
+      const filters = readline.question('Filter the files? (y/N): ').toLowerCase() === 'y'
+        ? this.promptFileFilters()
+        : {};
+      const output = readline.question('Show here, or export to csv or json? (show/csv/json) [show]: ')
+        .trim().toLowerCase() || 'show';
+
+      if (!['show', 'csv', 'json'].includes(output)) {
+        console.error(`❌ Unknown output: ${output}`);
+        return;
+      }
+
+      // Authenticate user
+      const authClient = await this.sessions.getClient(userEmail);
+      const driveService = new DriveService(authClient);
+
+      // Get user info
+      const userInfo = await driveService.getCurrentUser();
+      console.log(`📧 User: ${userInfo.displayName} (${userInfo.emailAddress})`);
+
+      let columns;
+      let options;
+      try {
+        columns = listing.parseColumns(columnsInput);
+        options = listing.getListOptions({ filters: { ...filters, owner: userInfo.emailAddress }, sort, columns });
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return;
+      }
+
+      console.log('\n🔍 Fetching files...');
+
+      // Pages are fetched as they are needed, so even very large accounts list in constant memory
+      const files = driveService.iterateFiles(options);
+
+      if (output !== 'show') {
+        const filePath = readline.question(
+          `Export file [${listing.getDefaultExportPath(userInfo.emailAddress, output)}]: `
+        ).trim() || listing.getDefaultExportPath(userInfo.emailAddress, output);
+
+        const result = await listing.exportToFile(files, { format: output, columns, filePath });
+        console.log(`\n💾 Exported ${result.count} files to ${result.path}`);
+        return;
+      }
+
+      await this.pageFiles(files, listing, columns);
+
+    } catch (error) {
+      logger.error('List files failed', error);
+      console.error(`❌ Failed to list files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Inventories everything an account owns before it is offboarded
+   * Prints a summary and saves the full report as HTML or JSON
+   */
+  async handleInventory() {
+    try {
+      console.log('\n📦 Account Inventory');
+      console.log('====================');
+
+      const userEmail = this.getUserInput('Enter user email: ');
+      if (!ValidationUtils.isValidEmail(userEmail)) {
+        console.error('❌ Invalid email address');
+        return;
+      }
+
+      const targetEmail = readline.question('Planned new owner, to check transfers to them (Enter to skip): ').trim() || null;
+      if (targetEmail && !ValidationUtils.isValidEmail(targetEmail)) {
+        console.error('❌ Invalid target email address');
+        return;
+      }
+
+      const format = readline.question('Save the report as html or json? [html]: ').trim().toLowerCase() || 'html';
+      if (!['html', 'json'].includes(format)) {
+        console.error(`❌ Unknown format: ${format}`);
+        return;
+      }
+
+      const authClient = await this.sessions.getClient(userEmail);
+      const inventoryService = new InventoryService(new DriveService(authClient));
+
+      const report = await inventoryService.buildInventory(userEmail, { targetEmail });
+      inventoryService.printSummary(report);
+
+      const reportPath = await inventoryService.exportReport(
+        report,
+        format,
+        inventoryService.getDefaultReportPath(userEmail, format)
+      );
+      console.log(`\n💾 Full report saved to ${reportPath}`);
+      logger.info('Inventory created', { user: userEmail, reportPath, summary: report.summary });
+
+    } catch (error) {
+      logger.error('Inventory failed', error);
+      console.error(`❌ Inventory failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Prints files one screen at a time until they run out or the user stops
+   */
+  async pageFiles(files, listing, columns, pageSize = 25) {
+    let count = 0;
+
+    console.log(`\n${listing.formatHeader(columns)}`);
+    console.log(''.padEnd(listing.formatHeader(columns).length, '-'));
+
+    for await (const file of files) {
+      console.log(listing.formatLine(file, columns));
+      count++;
+
+      if (count % pageSize === 0) {
+        const answer = readline.question(`-- ${count} files shown; Enter for more, q to stop: `);
+        if (answer.trim().toLowerCase() === 'q') {
+          return count;
+        }
+      }
+    }
+
+    console.log(count === 0 ? '\n📭 No files found.' : `\n📂 ${count} files in total.`);
+    return count;
+  }
+
+  /**
+   * Handles token management operations
+   */
+  async handleTokenManagement() {
+    try {
+      console.log('\n🔑 Token Management');
+      console.log('===================');
+
+      const authenticatedUsers = await this.tokenManager.listAuthenticatedUsers();
+      
+      if (authenticatedUsers.length === 0) {
+        console.log('📭 No saved authentication tokens found.');
+        return;
+      }
+
+      console.log('\n👥 Users with saved tokens:');
+      for (let index = 0; index < authenticatedUsers.length; index++) {
+        await this.printTokenInfo(authenticatedUsers[index], index);
+      }
+
+      console.log('\nOptions:');
+      console.log('1. Remove tokens for a user');
+      console.log('2. Revoke tokens for a user (server-side)');
+      console.log('3. Re-authenticate a user (forced consent)');
+      console.log('4. Check all saved tokens');
+      console.log('5. Back to main menu');
+
+      const choice = readline.question('\nSelect an option (1-5): ');
+
+      switch (choice) {
+        case '1': {
+          const userEmail = this.selectUser(authenticatedUsers, 'Enter user number to remove: ');
+          if (!userEmail) break;
+
+          const confirm = readline.question(`Remove tokens for ${userEmail}? (y/N): `);
+          if (confirm.toLowerCase() === 'y') {
+            await this.tokenManager.removeTokens(userEmail);
+            this.sessions.removeSession(userEmail);
+            console.log(`✅ Tokens removed for ${userEmail}`);
+          }
+          break;
+        }
+        case '2': {
+          const userEmail = this.selectUser(authenticatedUsers, 'Enter user number to revoke: ');
+          if (!userEmail) break;
+
+          const confirm = readline.question(`Revoke access for ${userEmail} at Google? (y/N): `);
+          if (confirm.toLowerCase() === 'y') {
+            await this.sessions.googleAuth.revokeTokens(userEmail);
+            this.sessions.removeSession(userEmail);
+            logger.info('Tokens revoked', { userEmail });
+            console.log(`✅ Tokens revoked and removed for ${userEmail}`);
+          }
+          break;
+        }
+        case '3': {
+          const userEmail = this.selectUser(authenticatedUsers, 'Enter user number to re-authenticate: ');
+          if (!userEmail) break;
+
+          this.sessions.removeSession(userEmail);
+          await this.sessions.googleAuth.reauthenticate(userEmail);
+          console.log(`✅ ${userEmail} re-authenticated`);
+          break;
+        }
+        case '4': {
+          console.log('\n🩺 Checking saved tokens...');
+          let invalid = 0;
+
+          for (const userEmail of authenticatedUsers) {
+            const health = await this.sessions.googleAuth.checkSavedTokens(userEmail);
+            if (health.valid) {
+              console.log(`   ✅ ${userEmail}`);
+            } else {
+              invalid++;
+              console.log(`   ❌ ${userEmail}: ${health.error}`);
+            }
+          }
+
+          console.log(`\n📊 ${authenticatedUsers.length - invalid} valid, ${invalid} invalid`);
+          break;
+        }
+      }
+
+    } catch (error) {
+      logger.error('Token management failed', error);
+      console.error(`❌ Token management failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Prints the health details of a user's saved tokens
+   */
+  async printTokenInfo(userEmail, index) {
+    try {
+      const info = await this.tokenManager.getTokenInfo(userEmail);
+      const expiry = info.expiresAt
+        ? `${info.expired ? 'expired' : 'expires'} ${info.expiresAt}`
+        : 'no expiry recorded';
+
+      console.log(`${index + 1}. ${userEmail}`);
+      console.log(`     Refresh token: ${info.hasRefreshToken ? 'yes' : 'no (re-authentication needed after expiry)'}`);
+      console.log(`     Access token: ${expiry}`);
+      console.log(`     Last used: ${info.lastUsedAt || 'never'}`);
+      console.log(`     Scopes: ${info.scopes.length > 0 ? info.scopes.join(', ') : 'unknown'}`);
+    } catch (error) {
+      console.log(`${index + 1}. ${userEmail} (unreadable: ${error.message})`);
+    }
+  }
+
+  /**
+   * Asks for a user number from a numbered list and returns the matching email
+   */
+  selectUser(users, prompt) {
+    const userIndex = parseInt(readline.question(prompt)) - 1;
+
+    if (userIndex >= 0 && userIndex < users.length) {
+      return users[userIndex];
+    }
+
+    console.log('❌ Invalid user number');
+    return null;
+  }
+
+  /**
+   * Authenticates both source and target accounts
+   * Each account gets its own verified session, and both must be different Google accounts
+   */
+  async authenticateAccounts(sourceEmail, targetEmail) {
+    console.log(`🔐 Authenticating source account: ${sourceEmail}`);
+    await this.sessions.getSession(sourceEmail);
+    
+    console.log(`🔐 Authenticating target account: ${targetEmail}`);
+    await this.sessions.getSession(targetEmail);
+
+    const { source, target } = await this.sessions.getTransferSessions(sourceEmail, targetEmail);
+    
+    return { sourceAuth: source.client, targetAuth: target.client };
+  }
+
+  /**
+   * Gets user input with validation and sanitization
+   */
+  getUserInput(prompt) {
+    const input = readline.question(prompt);
+    return ValidationUtils.sanitizeInput(input);
+  }
+
+  /**
+   * Gets a file ID from user input; Drive links are reduced to their ID
+   * Anything unrecognised is returned as typed, so validation reports it
+   */
+  getFileId(prompt) {
+    const input = this.getUserInput(prompt);
+    return FileResolver.extractId(input) || input;
+  }
+
+  /**
+   * Asks what happens to existing access once ownership has moved; Enter keeps everything as it is
+   * Returns null when nothing would change
+   */
+  promptAccessPolicy() {
+    console.log('\nAccess after the transfer (press Enter to keep):');
+
+    while (true) {
+      const previousOwner = readline.question(
+        `Previous owner's access (${AccessPolicy.PREVIOUS_OWNER_ROLES.join(', ')}) [writer]: `
+      ).trim().toLowerCase() || 'writer';
+      const revoke = prompt => readline.question(prompt).trim().toLowerCase() === 'y' ? 'revoke' : 'keep';
+
+      try {
+        return AccessPolicy.fromOptions({
+          previousOwner,
+          domainSharing: revoke('Revoke sharing with whole domains? (y/N): '),
+          anyoneSharing: revoke('Revoke anyone-with-the-link sharing? (y/N): '),
+          allowedDomains: readline.question('Remove collaborators outside these domains (comma-separated, Enter for none): ')
+        });
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+      }
+    }
+  }
+
+  printAccessPolicy(accessPolicy) {
+    if (accessPolicy) {
+      accessPolicy.describe().forEach(line => console.log(`   ${line}`));
+    }
+  }
+
+  /**
+   * Asks whether transferred files should keep their folder structure in the new owner's Drive
+   * Without it they only show up in the new owner's "Shared with me". Moving them also takes them
+   * out of the source's folders, where collaborators may browse to them, so the default is no
+   */
+  askMirrorFolders(sourceEmail, targetEmail) {
+    const rootName = config.transfer.mirrorRootName.replace('{source}', sourceEmail);
+    const answer = readline.question(`Move the files under "${rootName}" in ${targetEmail}'s Drive, keeping their folders? (y/N): `);
+    return answer.trim().toLowerCase() === 'y';
+  }
+
+  /**
+   * Gets multiple file IDs from user input
+   * Each line may be a raw ID or a Docs, Sheets, Slides or Drive link
+   */
+  getMultipleFileIds() {
+    const fileIds = [];
+    
+    while (true) {
+      const input = readline.question('File ID or link: ').trim();
+      
+      if (input === '') {
+        break;
+      }
+      
+      const fileId = FileResolver.extractId(input);
+      if (!fileId) {
+        console.log(`❌ Not a Drive file ID or link: ${input}`);
+      } else if (fileIds.includes(fileId)) {
+        console.log(`⚠️ Already added: ${fileId}`);
+      } else {
+        fileIds.push(fileId);
+        console.log(`✅ Added file ID: ${fileId}`);
+      }
+    }
+    
+    return fileIds;
+  }
+
+  /**
+   * Asks for file filters; every question can be skipped with Enter
+   * Answers are not sanitized: quotes are valid in names and DriveQuery escapes them
+   */
+  promptFileFilters() {
+    console.log('\nFilters (press Enter to skip):');
+    const ask = prompt => readline.question(prompt).trim();
+
+    const parent = ask('In folder (ID or link): ');
+    const filters = {
+      mimeType: ask('Type (doc, sheet, slides, pdf, folder or a MIME type; comma-separated): '),
+      nameContains: ask('Name contains: '),
+      modifiedFrom: ask('Modified on or after (YYYY-MM-DD): '),
+      modifiedTo: ask('Modified on or before (YYYY-MM-DD): '),
+      createdFrom: ask('Created on or after (YYYY-MM-DD): '),
+      createdTo: ask('Created on or before (YYYY-MM-DD): '),
+      parent: parent && (FileResolver.extractId(parent) || parent),
+      sharedWith: ask('Shared with (email): '),
+      starred: ask('Starred files only? (y/N): ').toLowerCase() === 'y' ? true : ''
+    };
+
+    Object.keys(filters).forEach(name => {
+      if (filters[name] === '') {
+        delete filters[name];
+      }
+    });
+
+    return filters;
+  }
+
+  /**
+   * Looks up entered files with the source account and shows their name and type
+   * Returns the files that were found; if some were not, the user decides whether to go on without them
+   */
+  async resolveFiles(sourceAuth, fileIds) {
+    console.log('\n🔎 Looking up files...');
+    const resolved = await new FileResolver(new DriveService(sourceAuth)).resolveAll(fileIds);
+
+    resolved.forEach(file => {
+      if (file.found) {
+        console.log(`   ${file.isFolder ? '📁' : '📄'} ${file.name} (${file.type}) [${file.id}]`);
+      } else {
+        console.log(`   ❌ ${file.input}: ${file.error}`);
+      }
+    });
+
+    const found = resolved.filter(file => file.found);
+    const missing = resolved.length - found.length;
+
+    if (found.length === 0) {
+      console.log('No files found; nothing to transfer.');
+      return [];
+    }
+
+    if (missing > 0) {
+      const answer = readline.question(`\nContinue without the ${missing} files that were not found? (y/N): `);
+      if (answer.toLowerCase() !== 'y') {
+        console.log('Transfer cancelled.');
+        return [];
+      }
+    }
+
+    return found;
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  // --device switches the menu's logins to the device code flow; it is refused while the Drive scope is configured
+  if (process.argv.includes('--device')) {
+    config.auth.mode = 'device';
+  }
+
+  // A subcommand (transfer, batch, list, tokens, plan) runs the non-interactive CLI instead of the menu
+  // The CLI never logs in, so --device means nothing to it
+  const args = process.argv.slice(2).filter(arg => arg !== '--device');
+
+  if (args.length > 0) {
+    const { TransferCli } = require('./cli');
+    new TransferCli().run(args).then(exitCode => {
+      process.exitCode = exitCode;
+    });
+  } else {
+    const app = new GoogleDriveTransferApp();
+    app.run().catch(error => {
+      logger.error('Unhandled application error', error);
+      console.error('💥 Fatal error:', error.message);
+      process.exit(1);
+    });
+  }
 }
 
 module.exports = GoogleDriveTransferApp;
\ No newline at end of file
@@ -1,28 +1,52 @@
 // src/auth/auth.js
 const { google } = require('googleapis');
+const crypto = require('crypto');
 const fs = require('fs').promises;
-const path = require('path');
 const readline = require('readline-sync');
 const config = require('../../config/config');
+const LoopbackServer = require('./loopbackServer');
+const DeviceCodeFlow = require('./deviceCodeFlow');
+const { createTokenStore } = require('./tokenStore');
 
 class GoogleAuth {
-  constructor() {
+  constructor(tokenStore = null) {
     this.oauth2Client = new google.auth.OAuth2(
       config.google.clientId,
       config.google.clientSecret,
       config.google.redirectUri
     );
+    this.tokenStore = tokenStore;
+    // Pending read-modify-write of each user's token record, so updates cannot overwrite each other
+    this.tokenUpdates = new Map();
+  }
+
+  /**
+   * Returns the token store, creating the configured one on first use
+   * Created lazily so modes that never store tokens (service accounts) need no encryption secret
+   */
+  getTokenStore() {
+    if (!this.tokenStore) {
+      this.tokenStore = createTokenStore();
+    }
+    return this.tokenStore;
   }
 
   /**
    * Generates an authorization URL for the user to visit
    * This is the first step in the OAuth 2.0 flow
    */
-  getAuthUrl() {
-    const authUrl = this.oauth2Client.generateAuthUrl({
+  getAuthUrl(client = this.oauth2Client, options = {}) {
+    const { state, codeChallenge } = options;
+
+    const authUrl = client.generateAuthUrl({
       access_type: 'offline', // This ensures we get a refresh token
       scope: config.google.scopes,
-      prompt: 'consent' // Forces consent screen to show, ensuring refresh token
+      prompt: 'consent', // Forces consent screen to show, ensuring refresh token
+      ...(state && { state }),
+      ...(codeChallenge && {
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      })
     });
     return authUrl;
   }
@@ -31,10 +55,10 @@ class GoogleAuth {
    * Exchanges the authorization code for access and refresh tokens
    * This completes the OAuth 2.0 flow
    */
-  async getTokens(code) {
+  async getTokens(code, client = this.oauth2Client, codeVerifier = undefined) {
     try {
-      const { tokens } = await this.oauth2Client.getAccessToken(code);
-      this.oauth2Client.setCredentials(tokens);
+      const { tokens } = await client.getToken({ code, codeVerifier });
+      client.setCredentials(tokens);
       return tokens;
     } catch (error) {
       throw new Error(`Error retrieving access token: ${error.message}`);
@@ -43,80 +67,391 @@ class GoogleAuth {
 
   /**
    * Authenticates a user and returns an authenticated client
-   * This method handles the entire authentication flow
+   * Every call gets its own OAuth2 client, so credentials never leak between accounts
+   * With interactive: false a missing or invalid token fails instead of starting a login
    */
-  async authenticate(userEmail) {
-    const tokenPath = path.join(config.paths.tokens, `${userEmail}.json`);
+  async authenticate(userEmail, options = {}) {
+    const { interactive = true } = options;
+
+    if (config.auth.mode === 'service-account') {
+      return await this.authenticateServiceAccount(userEmail);
+    }
+
+    const client = this.createNewClient();
+    this.persistRefreshedTokens(userEmail, client);
 
     try {
       // Try to load existing tokens first
-      const tokens = await this.loadTokens(tokenPath);
-      this.oauth2Client.setCredentials(tokens);
+      const tokens = await this.loadTokens(userEmail);
+      client.setCredentials(this.toCredentials(tokens));
       
       // Test if the tokens are still valid
-      await this.testTokenValidity();
+      await this.testTokenValidity(client);
+      await this.recordTokenUse(userEmail);
       console.log(`✅ Successfully authenticated ${userEmail} using saved tokens`);
       
-      return this.oauth2Client;
+      return client;
     } catch (error) {
+      if (!interactive) {
+        throw new Error(`No valid saved tokens for ${userEmail}; authenticate the account first`);
+      }
+
       console.log(`🔄 Need to get new tokens for ${userEmail}`);
-      return await this.performNewAuthentication(userEmail, tokenPath);
+      return await this.performNewAuthentication(userEmail, client);
+    }
+  }
+
+  /**
+   * Writes tokens back to the store whenever the client refreshes them
+   * Refresh responses usually omit the refresh token, so they are merged into the saved record
+   */
+  persistRefreshedTokens(userEmail, client) {
+    client.on('tokens', async (tokens) => {
+      try {
+        // Nothing saved yet (first login) means the new tokens are the whole record
+        await this.updateTokens(userEmail, saved => ({
+          ...saved,
+          ...tokens,
+          last_used_at: new Date().toISOString()
+        }));
+      } catch (error) {
+        console.log(`⚠️ Could not save refreshed tokens for ${userEmail}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Strips bookkeeping fields from a saved record before handing it to an OAuth2 client
+   */
+  toCredentials(tokens) {
+    const { last_used_at: lastUsedAt, ...credentials } = tokens;
+    return credentials;
+  }
+
+  /**
+   * Records when a user's saved tokens were last used
+   * Best effort: failing to record usage must not fail the login
+   */
+  async recordTokenUse(userEmail) {
+    try {
+      await this.updateTokens(userEmail, saved => {
+        if (!saved) {
+          throw new Error('no saved tokens');
+        }
+        return { ...saved, last_used_at: new Date().toISOString() };
+      });
+    } catch (error) {
+      console.log(`⚠️ Could not record token use for ${userEmail}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks a user's saved tokens against the API without starting a new login
+   * Refreshed access tokens are persisted through the same token event hook
+   */
+  async checkSavedTokens(userEmail) {
+    const client = this.createNewClient();
+    this.persistRefreshedTokens(userEmail, client);
+
+    try {
+      const tokens = await this.loadTokens(userEmail);
+      client.setCredentials(this.toCredentials(tokens));
+
+      const identity = await this.testTokenValidity(client);
+      await this.recordTokenUse(userEmail);
+
+      return { email: userEmail, valid: true, identity };
+    } catch (error) {
+      return { email: userEmail, valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Revokes a user's tokens at Google's OAuth revoke endpoint and removes the local copy
+   * Revoking the refresh token also invalidates every access token issued from it
+   */
+  async revokeTokens(userEmail) {
+    const tokens = await this.loadTokens(userEmail);
+    const token = tokens.refresh_token || tokens.access_token;
+
+    if (!token) {
+      throw new Error(`No token to revoke for ${userEmail}`);
+    }
+
+    try {
+      await this.createNewClient().revokeToken(token);
+    } catch (error) {
+      // invalid_token means Google already forgot it, which is the outcome we want
+      const reason = (error.response && error.response.data && error.response.data.error) || error.message;
+      if (reason !== 'invalid_token') {
+        throw new Error(`Failed to revoke tokens for ${userEmail}: ${reason}`);
+      }
+    }
+
+    await this.getTokenStore().remove(userEmail);
+  }
+
+  /**
+   * Runs the consent flow again for a user, replacing the saved tokens
+   * Useful when scopes changed or a refresh token was lost
+   */
+  async reauthenticate(userEmail) {
+    if (config.auth.mode === 'service-account') {
+      throw new Error('Service account logins do not use consent');
+    }
+
+    const client = this.createNewClient();
+    this.persistRefreshedTokens(userEmail, client);
+    return await this.performNewAuthentication(userEmail, client);
+  }
+
+  /**
+   * Authenticates as a domain user through a service account with domain-wide delegation
+   * No consent screen and no saved tokens: the service account signs a JWT with the user as subject
+   */
+  async authenticateServiceAccount(userEmail) {
+    const key = await this.loadServiceAccountKey();
+
+    const client = new google.auth.JWT({
+      email: key.client_email,
+      key: key.private_key,
+      scopes: config.google.scopes,
+      subject: userEmail
+    });
+
+    try {
+      await client.authorize();
+    } catch (error) {
+      const reason = (error.response && error.response.data && error.response.data.error) || error.message;
+
+      if (/unauthorized_client/.test(reason)) {
+        throw new Error(
+          `Service account ${key.client_email} is not allowed to impersonate users with the required scopes. ` +
+          `In the Admin console, add client ID ${key.client_id} under Security > API controls > ` +
+          `Domain-wide delegation with these scopes: ${config.google.scopes.join(',')}`
+        );
+      }
+
+      if (/invalid_grant/.test(reason)) {
+        throw new Error(`Cannot impersonate ${userEmail}: the user does not exist in the domain or is suspended`);
+      }
+
+      throw new Error(`Service account authentication failed for ${userEmail}: ${reason}`);
+    }
+
+    console.log(`✅ Successfully authenticated ${userEmail} through service account delegation`);
+    return client;
+  }
+
+  /**
+   * Loads the service account key file
+   */
+  async loadServiceAccountKey() {
+    try {
+      const data = await fs.readFile(config.paths.credentials, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Cannot load service account key from ${config.paths.credentials}: ${error.message}`);
     }
   }
 
   /**
    * Performs a fresh authentication flow
    */
-  async performNewAuthentication(userEmail, tokenPath) {
-    const authUrl = this.getAuthUrl();
-    
-    console.log('\n📱 Please visit this URL to authorize the application:');
-    console.log(authUrl);
-    console.log('\nAfter authorization, you will get a code. Copy and paste it here.');
-    
-    const code = readline.question('Enter the authorization code: ');
+  async performNewAuthentication(userEmail, client = this.createNewClient()) {
+    if (config.auth.mode === 'device') {
+      return await this.performDeviceAuthentication(userEmail, client);
+    }
+
+    // PKCE and state tie the returned code to this particular login attempt
+    const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+    const state = crypto.randomBytes(16).toString('hex');
+    const authUrl = this.getAuthUrl(client, { state, codeChallenge });
+
+    const code = await this.captureAuthorizationCode(authUrl, state);
     
     try {
-      const tokens = await this.getTokens(code);
-      await this.saveTokens(tokenPath, tokens);
+      const tokens = await this.getTokens(code, client, codeVerifier);
+      await this.saveTokens(userEmail, { ...tokens, last_used_at: new Date().toISOString() });
       console.log(`✅ Successfully authenticated and saved tokens for ${userEmail}`);
       
-      return this.oauth2Client;
+      return client;
+    } catch (error) {
+      throw new Error(`Authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Performs the OAuth device authorization grant
+   * Used on machines without a browser: the user approves on another device with a short code
+   */
+  async performDeviceAuthentication(userEmail, client = this.createNewClient()) {
+    const scopeProblem = DeviceCodeFlow.checkScopes(config.google.scopes);
+    if (scopeProblem) {
+      throw new Error(scopeProblem);
+    }
+
+    const deviceFlow = new DeviceCodeFlow({
+      clientId: config.google.clientId,
+      clientSecret: config.google.clientSecret,
+      scopes: config.google.scopes,
+      deviceCodeEndpoint: config.auth.deviceCodeEndpoint,
+      tokenEndpoint: config.auth.tokenEndpoint
+    });
+
+    try {
+      const deviceCode = await deviceFlow.requestDeviceCode();
+
+      console.log(`\n📟 To authorize ${userEmail}, visit: ${deviceCode.verificationUrl}`);
+      console.log(`   and enter the code: ${deviceCode.userCode}`);
+      console.log(`\n⏳ Waiting for approval (expires in ${Math.round(deviceCode.expiresIn / 60)} minutes)...`);
+
+      const tokens = await deviceFlow.pollForTokens(
+        deviceCode.deviceCode,
+        deviceCode.interval,
+        deviceCode.expiresIn
+      );
+
+      client.setCredentials(tokens);
+      await this.saveTokens(userEmail, { ...tokens, last_used_at: new Date().toISOString() });
+      console.log(`✅ Successfully authenticated and saved tokens for ${userEmail}`);
+
+      return client;
     } catch (error) {
       throw new Error(`Authentication failed: ${error.message}`);
     }
   }
 
+  /**
+   * Starts a consent flow whose code is delivered somewhere else (e.g. the API server's callback)
+   * The returned client and code verifier must be passed to completeConsent with the code
+   */
+  async beginConsent() {
+    const client = this.createNewClient();
+    const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+    const state = crypto.randomBytes(16).toString('hex');
+
+    return {
+      client,
+      codeVerifier,
+      state,
+      authUrl: this.getAuthUrl(client, { state, codeChallenge })
+    };
+  }
+
+  /**
+   * Finishes a consent flow started with beginConsent and saves the tokens
+   * The identity is read from the tokens, so the caller learns which account actually signed in
+   */
+  async completeConsent(consent, code, expectedEmail = null) {
+    const tokens = await this.getTokens(code, consent.client, consent.codeVerifier);
+    const identity = await this.testTokenValidity(consent.client);
+    const userEmail = identity.emailAddress.toLowerCase();
+
+    if (expectedEmail && userEmail !== expectedEmail.toLowerCase()) {
+      throw new Error(`Signed in as ${userEmail} but ${expectedEmail} was requested`);
+    }
+
+    await this.saveTokens(userEmail, { ...tokens, last_used_at: new Date().toISOString() });
+    this.persistRefreshedTokens(userEmail, consent.client);
+
+    return { userEmail, identity, client: consent.client };
+  }
+
+  /**
+   * Obtains the authorization code for a consent URL
+   * Listens on the loopback redirect URI when possible and falls back to pasting the code by hand
+   */
+  async captureAuthorizationCode(authUrl, state) {
+    const redirectUri = config.google.redirectUri;
+
+    if (LoopbackServer.isLoopbackUri(redirectUri)) {
+      const listener = new LoopbackServer(redirectUri, { timeout: config.auth.loopbackTimeout });
+
+      try {
+        await listener.start();
+
+        console.log('\n📱 Please visit this URL to authorize the application:');
+        console.log(authUrl);
+        console.log(`\n⏳ Waiting for the authorization callback on ${redirectUri}...`);
+
+        return await listener.waitForCode(state);
+      } catch (error) {
+        console.log(`⚠️ Could not capture the authorization automatically: ${error.message}`);
+      } finally {
+        await listener.close();
+      }
+    }
+
+    console.log('\n📱 Please visit this URL to authorize the application:');
+    console.log(authUrl);
+    console.log('\nAfter authorization, copy the code (or the full URL you were redirected to) and paste it here.');
+
+    const input = readline.question('Enter the authorization code: ');
+    return LoopbackServer.extractCode(input, state);
+  }
+
   /**
    * Tests if the current tokens are valid by making a simple API call
+   * Returns the Google account the tokens belong to
    */
-  async testTokenValidity() {
-    const drive = google.drive({ version: 'v3', auth: this.oauth2Client });
-    await drive.about.get({ fields: 'user' });
+  async testTokenValidity(client = this.oauth2Client) {
+    const drive = google.drive({ version: 'v3', auth: client });
+    const response = await drive.about.get({
+      fields: 'user(displayName, emailAddress, permissionId)'
+    });
+    return response.data.user;
   }
 
   /**
-   * Loads tokens from a file
+   * Loads a user's tokens from the token store
    */
-  async loadTokens(tokenPath) {
+  async loadTokens(userEmail) {
     try {
-      const data = await fs.readFile(tokenPath, 'utf8');
-      return JSON.parse(data);
+      return await this.getTokenStore().load(userEmail);
     } catch (error) {
-      throw new Error(`Cannot load tokens from ${tokenPath}`);
+      throw new Error(`Cannot load tokens for ${userEmail}: ${error.message}`);
     }
   }
 
   /**
-   * Saves tokens to a file
+   * Loads a user's token record, applies change to it and saves the result, one update per user at a time
+   * change gets null when nothing is saved yet. Without the queue a refresh saved while another update
+   * is between its load and its save would be overwritten with the older record
+   */
+  updateTokens(userEmail, change) {
+    const previous = this.tokenUpdates.get(userEmail) || Promise.resolve();
+
+    const next = previous.then(async () => {
+      let saved = null;
+      try {
+        saved = await this.loadTokens(userEmail);
+      } catch {
+        // Nothing saved yet
+      }
+      await this.saveTokens(userEmail, change(saved));
+    });
+
+    // Keep the queue alive even if this update fails, and drop it once it is empty
+    const tail = next.catch(() => {});
+    this.tokenUpdates.set(userEmail, tail);
+    tail.then(() => {
+      if (this.tokenUpdates.get(userEmail) === tail) {
+        this.tokenUpdates.delete(userEmail);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Saves a user's tokens to the token store (encrypted at rest)
    */
-  async saveTokens(tokenPath, tokens) {
+  async saveTokens(userEmail, tokens) {
     try {
-      // Ensure the tokens directory exists
-      await fs.mkdir(path.dirname(tokenPath), { recursive: true });
-      await fs.writeFile(tokenPath, JSON.stringify(tokens, null, 2));
+      await this.getTokenStore().save(userEmail, tokens);
     } catch (error) {
-      throw new Error(`Cannot save tokens to ${tokenPath}: ${error.message}`);
+      throw new Error(`Cannot save tokens for ${userEmail}: ${error.message}`);
     }
   }
 
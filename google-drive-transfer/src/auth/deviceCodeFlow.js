@@ -0,0 +1,165 @@
+// src/auth/deviceCodeFlow.js
+const http = require('http');
+const https = require('https');
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+const DRIVE_SCOPE_PREFIX = 'https://www.googleapis.com/auth/drive';
+
+// The only Drive scopes Google grants through the device flow; neither lets the app
+// change permissions on files it did not create, so neither can transfer ownership
+const DEVICE_FLOW_DRIVE_SCOPES = [
+  'https://www.googleapis.com/auth/drive.file',
+  'https://www.googleapis.com/auth/drive.appdata'
+];
+
+class DeviceCodeFlow {
+  constructor(options = {}) {
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.scopes = options.scopes || [];
+    this.deviceCodeEndpoint = options.deviceCodeEndpoint;
+    this.tokenEndpoint = options.tokenEndpoint;
+  }
+
+  /**
+   * Explains why the device flow cannot get the given scopes, or returns null if it can
+   * Google answers such requests with invalid_scope, so this is checked before starting the flow
+   */
+  static checkScopes(scopes) {
+    const unsupported = scopes.filter(scope =>
+      scope.startsWith(DRIVE_SCOPE_PREFIX) && !DEVICE_FLOW_DRIVE_SCOPES.includes(scope)
+    );
+
+    if (unsupported.length === 0) {
+      return null;
+    }
+
+    return `The device code flow cannot be used to transfer ownership: Google only grants the ` +
+      `drive.file and drive.appdata Drive scopes through it, not ${unsupported.join(', ')}. ` +
+      'On a machine without a browser, use AUTH_MODE=service-account (Workspace domain-wide delegation)';
+  }
+
+  /**
+   * Asks the authorization server for a device code and a user code
+   * The user code is what the person types in at the verification URL on another device
+   */
+  async requestDeviceCode() {
+    const { status, body } = await this.postForm(this.deviceCodeEndpoint, {
+      client_id: this.clientId,
+      scope: this.scopes.join(' ')
+    });
+
+    if (status !== 200 || !body.device_code) {
+      const reason = body.error_description || body.error || `HTTP ${status}`;
+      throw new Error(`Device code request failed: ${reason}`);
+    }
+
+    return {
+      deviceCode: body.device_code,
+      userCode: body.user_code,
+      verificationUrl: body.verification_url || body.verification_uri,
+      expiresIn: body.expires_in,
+      interval: body.interval || 5
+    };
+  }
+
+  /**
+   * Polls the token endpoint until the user approves, denies or the code expires
+   * Follows RFC 8628: keep waiting on authorization_pending, back off by 5 seconds on slow_down
+   */
+  async pollForTokens(deviceCode, interval, expiresIn) {
+    const expiresAt = Date.now() + expiresIn * 1000;
+    let pollInterval = interval * 1000;
+
+    while (Date.now() < expiresAt) {
+      await this.delay(pollInterval);
+
+      const { status, body } = await this.postForm(this.tokenEndpoint, {
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        device_code: deviceCode,
+        grant_type: DEVICE_GRANT_TYPE
+      });
+
+      if (status === 200 && body.access_token) {
+        return this.toCredentials(body);
+      }
+
+      switch (body.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          pollInterval += 5000;
+          break;
+        case 'access_denied':
+          throw new Error('The user denied the authorization request');
+        case 'expired_token':
+          throw new Error('The device code expired before it was approved');
+        default:
+          throw new Error(`Token polling failed: ${body.error_description || body.error || `HTTP ${status}`}`);
+      }
+    }
+
+    throw new Error('The device code expired before it was approved');
+  }
+
+  /**
+   * Converts a token endpoint response into the credentials shape the OAuth2 client uses
+   */
+  toCredentials(body) {
+    return {
+      access_token: body.access_token,
+      refresh_token: body.refresh_token,
+      scope: body.scope,
+      token_type: body.token_type,
+      ...(body.id_token && { id_token: body.id_token }),
+      expiry_date: Date.now() + (body.expires_in || 0) * 1000
+    };
+  }
+
+  /**
+   * Sends a form-encoded POST request and parses the JSON response
+   * Plain http is allowed so the flow can be pointed at a local stand-in endpoint
+   */
+  postForm(url, params) {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const payload = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(payload)
+        }
+      }, res => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          try {
+            resolve({ status: res.statusCode, body: data ? JSON.parse(data) : {} });
+          } catch {
+            reject(new Error(`Unexpected response from ${target.origin}: HTTP ${res.statusCode}`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  /**
+   * Waits between polls
+   */
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = DeviceCodeFlow;
\ No newline at end of file
@@ -0,0 +1,163 @@
+// src/auth/loopbackServer.js
+const http = require('http');
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class LoopbackServer {
+  constructor(redirectUri, options = {}) {
+    this.redirectUri = new URL(redirectUri);
+    this.timeout = options.timeout || 300000;
+    this.server = null;
+    this.pending = null;
+  }
+
+  /**
+   * Checks whether a redirect URI points back at this machine
+   * Only loopback URIs can be captured by a local listener
+   */
+  static isLoopbackUri(redirectUri) {
+    try {
+      const url = new URL(redirectUri);
+      return url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Pulls the authorization code out of whatever the user pasted
+   * Accepts either the bare code or the full URL the browser was redirected to
+   */
+  static extractCode(input, expectedState) {
+    const value = (input || '').trim();
+
+    if (!/^https?:\/\//i.test(value)) {
+      return value;
+    }
+
+    const params = new URL(value).searchParams;
+
+    if (params.get('error')) {
+      throw new Error(`Authorization was denied: ${params.get('error')}`);
+    }
+
+    if (expectedState && params.get('state') !== expectedState) {
+      throw new Error('State parameter mismatch; the pasted URL does not belong to this login');
+    }
+
+    return params.get('code') || '';
+  }
+
+  /**
+   * Starts listening on the redirect URI's port
+   * Must be called before the user is sent to the consent screen
+   */
+  async start() {
+    const port = this.redirectUri.port || 80;
+    const host = this.redirectUri.hostname.replace(/^\[|\]$/g, '');
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Waits for the OAuth callback and resolves with the authorization code
+   * Rejects on a denied consent or when the timeout expires; requests with the wrong state are ignored
+   */
+  waitForCode(expectedState) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending = null;
+        reject(new Error(`No authorization received within ${Math.round(this.timeout / 1000)} seconds`));
+      }, this.timeout);
+
+      this.pending = {
+        expectedState,
+        resolve: code => {
+          clearTimeout(timer);
+          this.pending = null;
+          resolve(code);
+        },
+        reject: error => {
+          clearTimeout(timer);
+          this.pending = null;
+          reject(error);
+        }
+      };
+    });
+  }
+
+  /**
+   * Handles a request hitting the listener
+   * Anything other than the callback path is ignored (browsers also ask for favicons)
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, this.redirectUri.origin);
+
+    if (url.pathname !== this.redirectUri.pathname || !this.pending) {
+      res.writeHead(404, { 'Content-Type': 'text/plain', Connection: 'close' });
+      res.end('Not found');
+      return;
+    }
+
+    const { expectedState } = this.pending;
+    const error = url.searchParams.get('error');
+    const code = url.searchParams.get('code');
+    const state = url.searchParams.get('state');
+
+    if (state !== expectedState) {
+      // Do not settle the login here: a stray or forged request must not cancel the real one
+      this.respond(res, 400, 'Invalid state parameter. Please restart the login from the application.');
+      return;
+    }
+
+    if (error) {
+      this.respond(res, 400, 'Authorization was not granted. You can close this window.');
+      this.pending.reject(new Error(`Authorization was denied: ${error}`));
+      return;
+    }
+
+    if (!code) {
+      this.respond(res, 400, 'No authorization code received.');
+      this.pending.reject(new Error('Callback did not include an authorization code'));
+      return;
+    }
+
+    this.respond(res, 200, 'Authentication complete. You can close this window and return to the application.');
+    this.pending.resolve(code);
+  }
+
+  /**
+   * Sends a minimal HTML page back to the browser
+   */
+  respond(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', Connection: 'close' });
+    res.end(`<!DOCTYPE html><html><body><p>${message}</p></body></html>`);
+  }
+
+  /**
+   * Stops the listener
+   */
+  async close() {
+    if (!this.server) {
+      return;
+    }
+
+    // Browsers keep connections alive, which would otherwise hold the listener open
+    if (this.server.closeAllConnections) {
+      this.server.closeAllConnections();
+    }
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+module.exports = LoopbackServer;
\ No newline at end of file
@@ -0,0 +1,124 @@
+// src/auth/sessionRegistry.js
+const GoogleAuth = require('./auth');
+const TokenManager = require('./tokenManager');
+
+class SessionRegistry {
+  constructor(googleAuth = new GoogleAuth(), tokenManager = new TokenManager(), options = {}) {
+    this.googleAuth = googleAuth;
+    this.tokenManager = tokenManager;
+    this.sessions = new Map();
+    // Non-interactive registries (API server) never fall back to a login prompt
+    this.interactive = options.interactive !== false;
+  }
+
+  /**
+   * Normalizes an email so the same account always maps to the same session
+   */
+  getSessionKey(userEmail) {
+    return userEmail.trim().toLowerCase();
+  }
+
+  /**
+   * Returns the authenticated client for an account, authenticating it on first use
+   * Each account gets its own OAuth2 client, verified against the Google identity it belongs to
+   */
+  async getClient(userEmail) {
+    const session = await this.getSession(userEmail);
+    return session.client;
+  }
+
+  /**
+   * Returns the full session (client and verified identity) for an account
+   */
+  async getSession(userEmail) {
+    const key = this.getSessionKey(userEmail);
+
+    if (this.sessions.has(key)) {
+      return this.sessions.get(key);
+    }
+
+    const client = await this.googleAuth.authenticate(userEmail, { interactive: this.interactive });
+    const identity = await this.verifyIdentity(userEmail, client);
+
+    const session = { email: key, client, identity };
+    this.sessions.set(key, session);
+
+    return session;
+  }
+
+  /**
+   * Checks that a client really belongs to the account it was requested for
+   * Signing in with the wrong browser account would otherwise save its tokens under another email
+   */
+  async verifyIdentity(userEmail, client) {
+    let identity;
+
+    try {
+      identity = await this.googleAuth.testTokenValidity(client);
+    } catch (error) {
+      throw new Error(`Cannot verify identity for ${userEmail}: ${error.message}`);
+    }
+
+    const actualEmail = identity && identity.emailAddress
+      ? identity.emailAddress.toLowerCase()
+      : null;
+
+    if (actualEmail !== this.getSessionKey(userEmail)) {
+      // The saved tokens belong to someone else, so they must not be reused for this email
+      await this.tokenManager.removeTokens(userEmail);
+      throw new Error(
+        `Signed in as ${actualEmail || 'an unknown account'} but ${userEmail} was requested. ` +
+        'Please authenticate again with the correct Google account.'
+      );
+    }
+
+    return identity;
+  }
+
+  /**
+   * Authenticates the source and target accounts of a transfer
+   * Refuses to continue when both resolve to the same Google account
+   */
+  async getTransferSessions(sourceEmail, targetEmail) {
+    const source = await this.getSession(sourceEmail);
+    const target = await this.getSession(targetEmail);
+
+    if (source.identity.permissionId === target.identity.permissionId) {
+      throw new Error(
+        `${sourceEmail} and ${targetEmail} resolve to the same Google account; ` +
+        'source and target must be different accounts'
+      );
+    }
+
+    return { source, target };
+  }
+
+  /**
+   * Registers a client that was authenticated elsewhere (e.g. through the API server's OAuth callback)
+   */
+  addSession(userEmail, client, identity) {
+    const key = this.getSessionKey(userEmail);
+    const session = { email: key, client, identity };
+    this.sessions.set(key, session);
+    return session;
+  }
+
+  /**
+   * Forgets the session for an account, e.g. after its tokens were removed
+   */
+  removeSession(userEmail) {
+    this.sessions.delete(this.getSessionKey(userEmail));
+  }
+
+  /**
+   * Lists the accounts with an active session
+   */
+  listSessions() {
+    return Array.from(this.sessions.values()).map(session => ({
+      email: session.email,
+      displayName: session.identity.displayName
+    }));
+  }
+}
+
+module.exports = SessionRegistry;
\ No newline at end of file
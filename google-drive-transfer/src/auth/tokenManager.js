@@ -1,19 +1,31 @@
 // src/auth/tokenManager.js
 const fs = require('fs').promises;
-const path = require('path');
 const config = require('../../config/config');
+const { createTokenStore, migratePlaintextTokens } = require('./tokenStore');
 
 class TokenManager {
-  constructor() {
+  constructor(tokenStore = null) {
     this.tokensDir = config.paths.tokens;
+    this.tokenStore = tokenStore;
+  }
+
+  /**
+   * Returns the token store, creating the configured one on first use
+   */
+  getTokenStore() {
+    if (!this.tokenStore) {
+      this.tokenStore = createTokenStore();
+    }
+    return this.tokenStore;
   }
 
   /**
    * Ensures the tokens directory exists
+   * Only the current user may read it, since it holds Drive credentials
    */
   async ensureTokensDirectory() {
     try {
-      await fs.mkdir(this.tokensDir, { recursive: true });
+      await fs.mkdir(this.tokensDir, { recursive: true, mode: 0o700 });
     } catch (error) {
       if (error.code !== 'EEXIST') {
         throw error;
@@ -22,10 +34,11 @@ class TokenManager {
   }
 
   /**
-   * Gets the path for a user's token file
+   * Moves plaintext token files written by earlier versions into the encrypted store
+   * Returns the emails that were migrated
    */
-  getTokenPath(userEmail) {
-    return path.join(this.tokensDir, `${userEmail}.json`);
+  async migratePlaintextTokens() {
+    return await migratePlaintextTokens(this.getTokenStore(), this.tokensDir);
   }
 
   /**
@@ -33,9 +46,7 @@ class TokenManager {
    */
   async hasTokens(userEmail) {
     try {
-      const tokenPath = this.getTokenPath(userEmail);
-      await fs.access(tokenPath);
-      return true;
+      return await this.getTokenStore().has(userEmail);
     } catch {
       return false;
     }
@@ -45,31 +56,34 @@ class TokenManager {
    * Lists all users who have saved tokens
    */
   async listAuthenticatedUsers() {
-    try {
-      const files = await fs.readdir(this.tokensDir);
-      return files
-        .filter(file => file.endsWith('.json'))
-        .map(file => file.replace('.json', ''));
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return [];
-      }
-      throw error;
-    }
+    return await this.getTokenStore().list();
+  }
+
+  /**
+   * Describes a user's saved tokens without exposing the tokens themselves
+   * Used by the token health view
+   */
+  async getTokenInfo(userEmail) {
+    const tokens = await this.getTokenStore().load(userEmail);
+    const expiresAt = tokens.expiry_date ? new Date(tokens.expiry_date) : null;
+
+    return {
+      email: userEmail,
+      scopes: tokens.scope ? tokens.scope.split(' ') : [],
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      expired: expiresAt ? expiresAt.getTime() <= Date.now() : null,
+      hasRefreshToken: Boolean(tokens.refresh_token),
+      lastUsedAt: tokens.last_used_at || null
+    };
   }
 
   /**
    * Removes tokens for a specific user
    */
   async removeTokens(userEmail) {
-    const tokenPath = this.getTokenPath(userEmail);
-    try {
-      await fs.unlink(tokenPath);
+    const removed = await this.getTokenStore().remove(userEmail);
+    if (removed) {
       console.log(`🗑️ Removed tokens for ${userEmail}`);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
     }
   }
 }
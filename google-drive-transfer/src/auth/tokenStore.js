@@ -0,0 +1,371 @@
+// src/auth/tokenStore.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/config');
+
+const ENVELOPE_VERSION = 1;
+const FILE_MODE = 0o600;
+const DIR_MODE = 0o700;
+// Passphrase-derived keys kept in memory; each one costs a blocking scrypt run to derive
+const MAX_DERIVED_KEYS = 8;
+
+/**
+ * Encrypts and decrypts token payloads with AES-256-GCM
+ * The key is either a 32-byte secret from the environment or derived from a passphrase with scrypt
+ */
+class TokenCipher {
+  constructor(options = {}) {
+    this.rawKey = options.encryptionKey ? TokenCipher.parseKey(options.encryptionKey) : null;
+    this.passphrase = options.passphrase || null;
+    this.derivedKeys = new Map();
+    // Reused for every write, so saving tokens does not derive a new key each time
+    this.writeSalt = null;
+
+    if (!this.rawKey && !this.passphrase) {
+      throw new Error('Token encryption needs TOKEN_ENCRYPTION_KEY or TOKEN_PASSPHRASE to be set');
+    }
+  }
+
+  /**
+   * Parses a 32-byte key given as hex or base64
+   */
+  static parseKey(value) {
+    const key = /^[0-9a-f]{64}$/i.test(value)
+      ? Buffer.from(value, 'hex')
+      : Buffer.from(value, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes, encoded as hex or base64');
+    }
+
+    return key;
+  }
+
+  /**
+   * Returns the key for a given salt, deriving it from the passphrase once per salt
+   * Only the most recently used keys are kept, so a long-running server does not grow the cache
+   */
+  getKey(salt) {
+    if (this.rawKey) {
+      return this.rawKey;
+    }
+
+    const cacheKey = salt.toString('base64');
+    let key = this.derivedKeys.get(cacheKey);
+
+    if (key) {
+      this.derivedKeys.delete(cacheKey);
+    } else {
+      key = crypto.scryptSync(this.passphrase, salt, 32, { N: 16384, r: 8, p: 1 });
+      if (this.derivedKeys.size >= MAX_DERIVED_KEYS) {
+        this.derivedKeys.delete(this.derivedKeys.keys().next().value);
+      }
+    }
+
+    this.derivedKeys.set(cacheKey, key);
+    return key;
+  }
+
+  /**
+   * Gets the salt new envelopes are written with: the one tokens were last read with,
+   * or a random one made on the first write; every envelope still gets its own IV
+   */
+  getWriteSalt() {
+    if (!this.writeSalt) {
+      this.writeSalt = crypto.randomBytes(16);
+    }
+    return this.writeSalt;
+  }
+
+  /**
+   * Encrypts a JSON-serializable value into a self-describing envelope
+   */
+  encrypt(value) {
+    const salt = this.rawKey ? crypto.randomBytes(16) : this.getWriteSalt();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+      version: ENVELOPE_VERSION,
+      kdf: this.rawKey ? 'none' : 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypts an envelope produced by encrypt
+   * A wrong key or passphrase fails the GCM authentication check
+   */
+  decrypt(envelope) {
+    if (!envelope || envelope.version !== ENVELOPE_VERSION) {
+      throw new Error('Unsupported token envelope');
+    }
+
+    if ((envelope.kdf === 'scrypt') !== !this.rawKey) {
+      throw new Error(`Tokens were encrypted with ${envelope.kdf === 'scrypt' ? 'a passphrase' : 'an encryption key'}`);
+    }
+
+    const salt = Buffer.from(envelope.salt, 'base64');
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this.getKey(salt),
+        Buffer.from(envelope.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+      const data = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]);
+
+      const value = JSON.parse(data.toString('utf8'));
+
+      // The key for this salt is now cached, so later writes can use it too
+      if (!this.rawKey && !this.writeSalt) {
+        this.writeSalt = salt;
+      }
+
+      return value;
+    } catch {
+      throw new Error('Cannot decrypt tokens: wrong encryption key or passphrase, or the data is corrupted');
+    }
+  }
+}
+
+/**
+ * Writes a file atomically with owner-only permissions
+ */
+async function writePrivateFile(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true, mode: DIR_MODE });
+
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, contents, { mode: FILE_MODE });
+  await fs.rename(tempPath, filePath);
+  // rename keeps the temp file's mode, but an existing file may have been created more permissively
+  await fs.chmod(filePath, FILE_MODE);
+}
+
+/**
+ * Stores each user's tokens in its own encrypted file: <email>.enc
+ */
+class EncryptedFileTokenStore {
+  constructor(options = {}) {
+    this.dir = options.dir || config.paths.tokens;
+    this.cipher = options.cipher;
+  }
+
+  /**
+   * Gets a user's token file; the email is the file name, so it must not lead out of the token directory
+   * Email validation allows "/" in the local part, so this is checked here rather than trusted
+   */
+  getPath(userEmail) {
+    const dir = path.resolve(this.dir);
+    const filePath = path.resolve(dir, `${userEmail}.enc`);
+
+    if (/[\\/\0]/.test(userEmail) || userEmail.includes('..') || path.dirname(filePath) !== dir) {
+      throw new Error(`Cannot store tokens for ${JSON.stringify(userEmail)}: not a usable file name`);
+    }
+
+    return filePath;
+  }
+
+  async load(userEmail) {
+    const data = await fs.readFile(this.getPath(userEmail), 'utf8');
+    return this.cipher.decrypt(JSON.parse(data));
+  }
+
+  async save(userEmail, tokens) {
+    const envelope = this.cipher.encrypt(tokens);
+    await writePrivateFile(this.getPath(userEmail), JSON.stringify(envelope, null, 2));
+  }
+
+  async has(userEmail) {
+    try {
+      await fs.access(this.getPath(userEmail));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async remove(userEmail) {
+    try {
+      await fs.unlink(this.getPath(userEmail));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    try {
+      const files = await fs.readdir(this.dir);
+      return files
+        .filter(file => file.endsWith('.enc'))
+        .map(file => file.slice(0, -'.enc'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Stores every user's tokens together in a single encrypted vault file
+ * Writes are serialized so concurrent saves cannot drop each other's changes
+ */
+class VaultTokenStore {
+  constructor(options = {}) {
+    this.vaultPath = options.vaultPath || path.join(config.paths.tokens, 'tokens.vault');
+    this.cipher = options.cipher;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async readVault() {
+    try {
+      const data = await fs.readFile(this.vaultPath, 'utf8');
+      return this.cipher.decrypt(JSON.parse(data));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { users: {} };
+      }
+      throw error;
+    }
+  }
+
+  async writeVault(vault) {
+    const envelope = this.cipher.encrypt(vault);
+    await writePrivateFile(this.vaultPath, JSON.stringify(envelope, null, 2));
+  }
+
+  updateVault(change) {
+    const next = this.writeQueue.then(async () => {
+      const vault = await this.readVault();
+      const result = change(vault);
+      await this.writeVault(vault);
+      return result;
+    });
+
+    // Keep the queue alive even if this update fails
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  async load(userEmail) {
+    const vault = await this.readVault();
+    const tokens = vault.users[userEmail];
+
+    if (!tokens) {
+      const error = new Error(`No tokens for ${userEmail} in vault`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return tokens;
+  }
+
+  async save(userEmail, tokens) {
+    await this.updateVault(vault => {
+      vault.users[userEmail] = tokens;
+    });
+  }
+
+  async has(userEmail) {
+    const vault = await this.readVault();
+    return Boolean(vault.users[userEmail]);
+  }
+
+  async remove(userEmail) {
+    return await this.updateVault(vault => {
+      const existed = Boolean(vault.users[userEmail]);
+      delete vault.users[userEmail];
+      return existed;
+    });
+  }
+
+  async list() {
+    const vault = await this.readVault();
+    return Object.keys(vault.users);
+  }
+}
+
+/**
+ * Finds plaintext <email>.json token files left by earlier versions
+ * and moves them into the given store, deleting the plaintext copy afterwards
+ */
+async function migratePlaintextTokens(store, tokensDir = config.paths.tokens) {
+  let files;
+  try {
+    files = await fs.readdir(tokensDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const migrated = [];
+
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const filePath = path.join(tokensDir, file);
+    let tokens;
+
+    try {
+      tokens = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch {
+      continue;
+    }
+
+    // Only migrate files that actually look like OAuth credentials
+    if (!tokens || (!tokens.access_token && !tokens.refresh_token)) {
+      continue;
+    }
+
+    const userEmail = file.slice(0, -'.json'.length);
+    await store.save(userEmail, tokens);
+    await fs.unlink(filePath);
+    migrated.push(userEmail);
+  }
+
+  return migrated;
+}
+
+/**
+ * Creates the token store selected in config.tokens
+ */
+function createTokenStore(options = config.tokens) {
+  const cipher = new TokenCipher({
+    encryptionKey: options.encryptionKey,
+    passphrase: options.passphrase
+  });
+
+  switch (options.backend) {
+    case 'vault':
+      return new VaultTokenStore({ vaultPath: options.vaultPath, cipher });
+    case 'encrypted-file':
+    case undefined:
+      return new EncryptedFileTokenStore({ dir: config.paths.tokens, cipher });
+    default:
+      throw new Error(`Unknown token store backend: ${options.backend}`);
+  }
+}
+
+module.exports = {
+  TokenCipher,
+  EncryptedFileTokenStore,
+  VaultTokenStore,
+  createTokenStore,
+  migratePlaintextTokens
+};
\ No newline at end of file
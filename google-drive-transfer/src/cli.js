@@ -0,0 +1,1084 @@
+// src/cli.js
+const fs = require('fs');
+const util = require('util');
+const { once } = require('events');
+const GoogleAuth = require('./auth/auth');
+const TokenManager = require('./auth/tokenManager');
+const SessionRegistry = require('./auth/sessionRegistry');
+const { createTokenStore } = require('./auth/tokenStore');
+const DriveService = require('./services/driveService');
+const TransferService = require('./services/transferService');
+const PlanService = require('./services/planService');
+const ManifestService = require('./services/manifestService');
+const FileResolver = require('./services/fileResolver');
+const FileListingService = require('./services/fileListingService');
+const InventoryService = require('./services/inventoryService');
+const OffboardingService = require('./services/offboardingService');
+const SharedDriveMigrationService = require('./services/sharedDriveMigrationService');
+const AccessPolicy = require('./services/accessPolicy');
+const JobStore = require('./services/jobStore');
+const SnapshotStore = require('./services/snapshotStore');
+const RollbackService = require('./services/rollbackService');
+const ValidationUtils = require('./utils/validation');
+const DriveQuery = require('./utils/driveQuery');
+const logger = require('./utils/logger');
+const auditLog = require('./utils/auditLog');
+const config = require('../config/config');
+
+/**
+ * Process exit codes, so scripts and cron jobs can tell outcomes apart
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  AUTH: 3,
+  PARTIAL: 4
+};
+
+// Commands that only read local files, so they need neither OAuth settings nor the token store
+const OFFLINE_COMMANDS = ['report'];
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = [
+  'all', 'stdin', 'notify', 'stop-on-error', 'help', 'starred', 'trashed', 'dry-run', 'list-drives',
+  'mirror-folders', 'revoke-domain-sharing', 'revoke-link-sharing'
+];
+
+const ACCESS_FLAGS = ['previous-owner', 'revoke-domain-sharing', 'revoke-link-sharing', 'allowed-domains'];
+
+// Flags of the list command that map to DriveQuery filters
+const FILTER_FLAGS = {
+  'mime-type': 'mimeType',
+  name: 'nameContains',
+  'modified-from': 'modifiedFrom',
+  'modified-to': 'modifiedTo',
+  'created-from': 'createdFrom',
+  'created-to': 'createdTo',
+  owner: 'owner',
+  parent: 'parent',
+  starred: 'starred',
+  trashed: 'trashed',
+  'shared-with': 'sharedWith'
+};
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+       npm run cli -- <command> [options]
+
+Commands:
+  transfer --source <email> --target <email> --file <id> [--mirror-folders] [access options]
+  batch    --source <email> --target <email> (--ids <id,id,...> | --stdin) [--mirror-folders] [access options]
+  batch    --resume <jobId>
+  manifest --source <email> --manifest <file.csv|file.json> [--out <results file>] [--mirror-folders]
+           [access options]
+  list     --user <email> [filters | --query <q>] [--sort name|size|modified] [--order asc|desc]
+           [--columns <col,col,...>] [--page-size <n>] [--page-token <t>] [--all]
+           [--export csv|json [--out <file>]]
+  tokens   list | remove --user <email> | check [--user <email>]
+  plan     --source <email> --target <email> (--ids <id,id,...> | --stdin) [--out <plan.json>] [access options]
+  execute  --plan <plan.json> [--mirror-folders]
+  rollback (--job <jobId> | --ids <id,id,...> | --stdin)
+  report   (--operation <id> | [--from <date>] [--to <date>]) [--export json|csv] [--out <file>]
+  inventory --user <email> [--target <email>] [--export json|html] [--out <file>] [--top <n>]
+  offboard --source <email> --target <email> [--concurrency <n>] [--dry-run] [--mirror-folders] [access options]
+  migrate  --source <email> --drive <sharedDriveId> [--folder <id|link>] (--ids <id,id,...> | --stdin) [--dry-run]
+  migrate  --source <email> --list-drives
+
+List filters (files owned by --user unless --owner is given):
+  --mime-type <type>     MIME type or alias (folder, doc, sheet, slides, pdf, ...); comma-separated for several
+  --name <text>          Name contains text
+  --modified-from/--modified-to <date>, --created-from/--created-to <date>
+  --owner <email>  --parent <folderId|link>  --shared-with <email>
+  --starred[=no]  --trashed[=no]
+
+Access options, applied to every file once its ownership has moved
+(a plan keeps the ones it was made with; execute refuses different ones):
+  --previous-owner <role>     ${AccessPolicy.PREVIOUS_OWNER_ROLES.join('|')} (default: writer)
+  --revoke-domain-sharing     Remove sharing with whole domains
+  --revoke-link-sharing       Remove anyone-with-the-link sharing
+  --allowed-domains <d,d,...> Remove collaborators from any other domain
+
+List columns: ${Object.keys(FileListingService.COLUMNS).join(', ')} (default: ${FileListingService.DEFAULT_COLUMNS.join(',')})
+--export streams every page to the file or stdout; for large accounts use it or --format ndjson with --all
+
+Options:
+  --format json|ndjson   Output format (default: json)
+  --concurrency <n>      Files transferred at once in batch mode (default: ${config.rateLimit.concurrency})
+  --delay <ms>           Extra delay between transfers in batch mode (default: 0)
+  --stop-on-error        Stop a batch at the first failed file
+  --dry-run              Offboarding: only list what would be transferred; migrate: only check what can move
+  --notify               Send Drive notification emails to the new owner
+  --mirror-folders       Place transferred files in a copy of their folder path in the new owner's Drive,
+                         under "${config.transfer.mirrorRootName}"
+
+File IDs may also be given as Docs, Sheets, Slides or Drive links.
+
+The interactive menu is started with npm start (node src/app.js).
+The CLI never starts a login: log accounts in with the interactive menu first, or use AUTH_MODE=service-account.
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 authentication error, 4 some files failed`;
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parses command line arguments into positionals and flags
+ * Repeated flags collect into arrays; --key=value and --key value are both accepted
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  const setFlag = (key, value) => {
+    if (flags[key] === undefined) {
+      flags[key] = value;
+    } else {
+      flags[key] = [].concat(flags[key], value);
+    }
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (inlineValue !== undefined) {
+      setFlag(key, inlineValue);
+    } else if (BOOLEAN_FLAGS.includes(key) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+      setFlag(key, true);
+    } else {
+      setFlag(key, argv[++i]);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+class TransferCli {
+  constructor(options = {}) {
+    this.stdout = options.stdout || process.stdout;
+    this.stdin = options.stdin || process.stdin;
+    this.format = 'json';
+    this.tokenManager = null;
+    this.sessions = null;
+  }
+
+  /**
+   * Runs a subcommand and resolves with the process exit code
+   * Human-readable progress goes to stderr so stdout only carries JSON
+   */
+  async run(argv) {
+    const { positionals, flags } = parseArgs(argv);
+    const [command, ...rest] = positionals;
+
+    this.routeConsoleToStderr();
+
+    // Log lines go to stderr as well, never into the JSON on stdout
+    logger.configure({
+      transports: config.logging.transports.map(name => (name === 'console' ? 'stderr' : name))
+    });
+
+    try {
+      if (flags.help || !command) {
+        process.stderr.write(`${USAGE}\n`);
+        return flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+      }
+
+      this.format = this.getFormat(flags);
+      if (!OFFLINE_COMMANDS.includes(command)) {
+        this.prepare();
+      }
+
+      switch (command) {
+        case 'transfer':
+          return await this.commandTransfer(flags);
+        case 'batch':
+          return await this.commandBatch(flags);
+        case 'manifest':
+          return await this.commandManifest(flags);
+        case 'list':
+          return await this.commandList(flags);
+        case 'tokens':
+          return await this.commandTokens(rest, flags);
+        case 'plan':
+          return await this.commandPlan(flags);
+        case 'execute':
+          return await this.commandExecute(flags);
+        case 'rollback':
+          return await this.commandRollback(flags);
+        case 'report':
+          return await this.commandReport(flags);
+        case 'inventory':
+          return await this.commandInventory(flags);
+        case 'offboard':
+          return await this.commandOffboard(flags);
+        case 'migrate':
+          return await this.commandMigrate(flags);
+        default:
+          throw new CliError(`Unknown command: ${command}\n\n${USAGE}`, EXIT_CODES.USAGE);
+      }
+    } catch (error) {
+      const exitCode = error.exitCode || EXIT_CODES.FAILURE;
+      logger.error(`CLI command ${command} failed`, error);
+      this.write({ type: 'error', error: error.message, exitCode });
+      return exitCode;
+    }
+  }
+
+  /**
+   * Sends console.log output (service progress, logger lines) to stderr
+   */
+  routeConsoleToStderr() {
+    console.log = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+  }
+
+  /**
+   * Validates configuration and opens the token store without prompting
+   */
+  prepare() {
+    const validation = ValidationUtils.validateConfig(config);
+    if (!validation.valid) {
+      const problems = [
+        ...validation.missingFields.map(field => `Missing: ${field}`),
+        ...validation.errors
+      ];
+      throw new CliError(`Configuration error: ${problems.join('; ')}`, EXIT_CODES.USAGE);
+    }
+
+    let tokenStore = null;
+    if (config.auth.mode !== 'service-account') {
+      if (!config.tokens.encryptionKey && !config.tokens.passphrase) {
+        throw new CliError('Set TOKEN_ENCRYPTION_KEY or TOKEN_PASSPHRASE to use the token store non-interactively', EXIT_CODES.USAGE);
+      }
+      tokenStore = createTokenStore();
+    }
+
+    this.tokenManager = new TokenManager(tokenStore);
+    // Scripted runs must not wait on a login; an account without valid tokens exits with EXIT_CODES.AUTH
+    this.sessions = new SessionRegistry(new GoogleAuth(tokenStore), this.tokenManager, { interactive: false });
+  }
+
+  /**
+   * Turns an authentication failure into a CliError with the authentication exit code
+   */
+  authError(error) {
+    const hint = config.auth.mode === 'service-account'
+      ? ''
+      : '. Log in once with the interactive app (npm start); "tokens check" shows which saved logins still work';
+    return new CliError(`${error.message}${hint}`, EXIT_CODES.AUTH);
+  }
+
+  getFormat(flags) {
+    const format = flags.format || 'json';
+    if (!['json', 'ndjson'].includes(format)) {
+      throw new CliError(`Unknown format: ${format} (expected json or ndjson)`, EXIT_CODES.USAGE);
+    }
+    return format;
+  }
+
+  /**
+   * Writes one JSON document (json) or one line (ndjson) to stdout
+   */
+  write(value) {
+    const text = this.format === 'ndjson' ? JSON.stringify(value) : JSON.stringify(value, null, 2);
+    this.stdout.write(`${text}\n`);
+  }
+
+  /**
+   * Reads a required string flag
+   */
+  requireFlag(flags, name) {
+    const value = flags[name];
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new CliError(`Missing required option --${name}`, EXIT_CODES.USAGE);
+    }
+    return ValidationUtils.sanitizeInput(value);
+  }
+
+  /**
+   * Collects file IDs from --ids/--file flags or, with --stdin or piped input, one per line from stdin
+   * Blank lines and lines starting with # are ignored; Drive links are reduced to their IDs
+   */
+  readFileIds(flags) {
+    const fromFlags = [].concat(flags.ids || [], flags.file || [])
+      .filter(value => typeof value === 'string')
+      .flatMap(value => value.split(','));
+
+    let fromStdin = [];
+    if (flags.stdin || (fromFlags.length === 0 && !this.stdin.isTTY)) {
+      fromStdin = fs.readFileSync(this.stdin.fd, 'utf8').split(/\r?\n/);
+    }
+
+    return [...fromFlags, ...fromStdin]
+      .map(value => value.trim())
+      .filter(value => value !== '' && !value.startsWith('#'))
+      .map(value => this.toFileId(value));
+  }
+
+  /**
+   * Reduces a Drive link to its file ID; anything unrecognised is kept so validation reports it
+   */
+  toFileId(value) {
+    return FileResolver.extractId(value) || value;
+  }
+
+  /**
+   * Collects the file filters of the list command; invalid values are usage errors
+   */
+  readFilters(flags, defaults = {}) {
+    const filters = { ...defaults };
+
+    Object.entries(FILTER_FLAGS).forEach(([flag, filter]) => {
+      const value = flags[flag];
+      if (value !== undefined) {
+        filters[filter] = Array.isArray(value) ? value.join(',') : value;
+      }
+    });
+
+    if (typeof filters.parent === 'string') {
+      filters.parent = this.toFileId(filters.parent);
+    }
+
+    try {
+      DriveQuery.fromFilters(filters);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    return filters;
+  }
+
+  /**
+   * Collects the access options; returns null when they would change nothing
+   */
+  readAccessPolicy(flags) {
+    // A flag given without a value (or more than once) must not quietly fall back to the default
+    const readValue = (name, fallback, expected) => {
+      const value = flags[name];
+      if (value === undefined) {
+        return fallback;
+      }
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw new CliError(`--${name} needs one value (expected ${expected})`, EXIT_CODES.USAGE);
+      }
+      return value.trim();
+    };
+
+    const previousOwner = readValue('previous-owner', 'writer', AccessPolicy.PREVIOUS_OWNER_ROLES.join(', '));
+    const allowedDomains = readValue('allowed-domains', [], 'a comma-separated list of domains');
+
+    try {
+      const policy = AccessPolicy.fromOptions({
+        previousOwner,
+        domainSharing: flags['revoke-domain-sharing'] ? 'revoke' : 'keep',
+        anyoneSharing: flags['revoke-link-sharing'] ? 'revoke' : 'keep',
+        allowedDomains
+      });
+      // Plain options, so batch jobs can save them with the rest of their settings
+      return policy && { ...policy };
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+  }
+
+  /**
+   * Validates transfer inputs the same way the interactive menu does
+   */
+  validateTransfer(sourceEmail, targetEmail, fileIds) {
+    const validation = ValidationUtils.validateTransferParams(sourceEmail, targetEmail, fileIds);
+    if (!validation.valid) {
+      throw new CliError(`Validation failed: ${validation.errors.join('; ')}`, EXIT_CODES.USAGE);
+    }
+  }
+
+  /**
+   * Validates the --delay and --concurrency options of a batch
+   */
+  validateBatchOptions(delayBetweenTransfers, concurrency) {
+    const errors = ValidationUtils.validateRateLimitParams(delayBetweenTransfers, 0).errors;
+    if (!ValidationUtils.isValidConcurrency(concurrency)) {
+      errors.push('Concurrency must be an integer between 1 and 50');
+    }
+    if (errors.length > 0) {
+      throw new CliError(`Validation failed: ${errors.join('; ')}`, EXIT_CODES.USAGE);
+    }
+  }
+
+  /**
+   * Authenticates both accounts from saved credentials
+   */
+  async getTransferService(sourceEmail, targetEmail) {
+    try {
+      const { source, target } = await this.sessions.getTransferSessions(sourceEmail, targetEmail);
+      return new TransferService(source.client, target.client);
+    } catch (error) {
+      throw this.authError(error);
+    }
+  }
+
+  async commandTransfer(flags) {
+    const sourceEmail = this.requireFlag(flags, 'source');
+    const targetEmail = this.requireFlag(flags, 'target');
+    const fileId = this.toFileId(this.requireFlag(flags, 'file'));
+
+    this.validateTransfer(sourceEmail, targetEmail, [fileId]);
+    const accessPolicy = this.readAccessPolicy(flags);
+    const transferService = await this.getTransferService(sourceEmail, targetEmail);
+
+    const operationId = logger.logTransferStart(sourceEmail, targetEmail, 1);
+
+    try {
+      const result = await transferService.transferFileOwnership(fileId, targetEmail, {
+        sendNotificationEmail: Boolean(flags.notify),
+        moveToNewOwnerDrive: Boolean(flags['mirror-folders']),
+        accessPolicy,
+        operationId
+      });
+      logger.logTransferComplete({ successful: 1, failed: 0, total: 1 }, operationId);
+      this.write({ type: 'result', operationId, ...result });
+      return EXIT_CODES.SUCCESS;
+    } catch (error) {
+      logger.logTransferComplete({ successful: 0, failed: 1, total: 1 }, operationId);
+      this.write({ type: 'result', operationId, success: false, fileId, error: error.message });
+      return EXIT_CODES.FAILURE;
+    }
+  }
+
+  /**
+   * Runs a batch as a checkpointed job; --resume <jobId> continues an unfinished one
+   */
+  async commandBatch(flags) {
+    const jobStore = new JobStore();
+    let job;
+
+    if (typeof flags.resume === 'string') {
+      job = await jobStore.load(flags.resume);
+      if (jobStore.getRemainingFileIds(job).length === 0) {
+        throw new CliError(`Job ${job.id} has no files left to transfer`, EXIT_CODES.USAGE);
+      }
+    } else {
+      const sourceEmail = this.requireFlag(flags, 'source');
+      const targetEmail = this.requireFlag(flags, 'target');
+      const fileIds = this.readFileIds(flags);
+
+      this.validateTransfer(sourceEmail, targetEmail, fileIds);
+
+      const delayBetweenTransfers = flags.delay !== undefined ? Number(flags.delay) : 0;
+      const concurrency = flags.concurrency !== undefined ? Number(flags.concurrency) : config.rateLimit.concurrency;
+      this.validateBatchOptions(delayBetweenTransfers, concurrency);
+
+      job = await jobStore.createJob({
+        source: sourceEmail,
+        target: targetEmail,
+        fileIds,
+        options: {
+          delayBetweenTransfers,
+          concurrency,
+          continueOnError: !flags['stop-on-error'],
+          sendNotificationEmail: Boolean(flags.notify),
+          moveToNewOwnerDrive: Boolean(flags['mirror-folders']),
+          accessPolicy: this.readAccessPolicy(flags)
+        }
+      });
+    }
+
+    const transferService = await this.getTransferService(job.source, job.target);
+
+    const operationId = logger.logTransferStart(job.source, job.target, jobStore.getRemainingFileIds(job).length, {
+      type: typeof flags.resume === 'string' ? 'batch_resume' : 'batch'
+    });
+
+    const batchResult = await transferService.runBatchJob(job, jobStore, {
+      operationId,
+      // Stream each result as it happens in ndjson mode
+      onResult: this.format === 'ndjson' ? result => this.write({ type: 'result', operationId, ...result }) : null
+    });
+
+    logger.logTransferComplete(batchResult.summary, operationId);
+
+    if (this.format === 'ndjson') {
+      this.write({
+        type: 'summary',
+        operationId,
+        jobId: batchResult.jobId,
+        status: batchResult.status,
+        ...batchResult.summary
+      });
+    } else {
+      this.write({ operationId, ...batchResult });
+    }
+
+    const { failed, pending } = batchResult.summary;
+    return failed + pending > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+  }
+
+  async commandList(flags) {
+    const userEmail = this.requireFlag(flags, 'user');
+    if (!ValidationUtils.isValidEmail(userEmail)) {
+      throw new CliError('Invalid email address', EXIT_CODES.USAGE);
+    }
+
+    let authClient;
+    try {
+      authClient = await this.sessions.getClient(userEmail);
+    } catch (error) {
+      throw this.authError(error);
+    }
+
+    const driveService = new DriveService(authClient);
+    const listing = new FileListingService();
+
+    // --query passes a raw Drive query through unchanged, for cases the filters do not cover
+    const query = typeof flags.query === 'string' ? flags.query : null;
+    const filters = query ? null : this.readFilters(flags, { owner: userEmail });
+    const pageSize = flags['page-size'] !== undefined ? Number(flags['page-size']) : 100;
+    const exportFormat = flags.export;
+
+    if (exportFormat !== undefined && !['csv', 'json'].includes(exportFormat)) {
+      throw new CliError(`Unknown export format: ${exportFormat} (expected csv or json)`, EXIT_CODES.USAGE);
+    }
+
+    let columns;
+    let options;
+    try {
+      columns = listing.parseColumns(flags.columns);
+      options = {
+        ...listing.getListOptions({ filters, query, sort: flags.sort || 'name', order: flags.order || null, columns }),
+        pageSize,
+        pageToken: typeof flags['page-token'] === 'string' ? flags['page-token'] : null
+      };
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    // Without --columns or --export the full Drive file objects are written, as before
+    const selectColumns = flags.columns !== undefined || exportFormat !== undefined;
+    if (!selectColumns) {
+      delete options.fields;
+    }
+
+    if (exportFormat) {
+      const files = driveService.iterateFiles(options);
+
+      if (typeof flags.out === 'string') {
+        const result = await listing.exportToFile(files, { format: exportFormat, columns, filePath: flags.out });
+        console.log(`💾 Exported ${result.count} files to ${result.path}`);
+        this.write(result);
+      } else {
+        await listing.exportFiles(files, { format: exportFormat, columns, output: this.stdout });
+      }
+
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const files = [];
+    let nextPageToken = null;
+
+    for await (const page of driveService.iterateFilePages(options)) {
+      const items = selectColumns ? page.files.map(file => listing.toRecord(file, columns)) : page.files;
+
+      if (this.format === 'ndjson') {
+        items.forEach(item => this.write(item));
+        // Let a slow reader catch up before fetching the next page
+        if (this.stdout.writableNeedDrain) {
+          await once(this.stdout, 'drain');
+        }
+      } else {
+        files.push(...items);
+      }
+
+      nextPageToken = page.nextPageToken;
+      if (!flags.all) {
+        break;
+      }
+    }
+
+    if (this.format === 'json') {
+      this.write({ files, nextPageToken });
+    }
+
+    return EXIT_CODES.SUCCESS;
+  }
+
+  async commandTokens(args, flags) {
+    const [action] = args;
+
+    switch (action) {
+      case 'list': {
+        const users = await this.tokenManager.listAuthenticatedUsers();
+        const infos = [];
+
+        for (const userEmail of users) {
+          try {
+            infos.push(await this.tokenManager.getTokenInfo(userEmail));
+          } catch (error) {
+            infos.push({ email: userEmail, error: error.message });
+          }
+        }
+
+        this.writeCollection('tokens', infos);
+        return EXIT_CODES.SUCCESS;
+      }
+      case 'remove': {
+        const userEmail = this.requireFlag(flags, 'user');
+        await this.tokenManager.removeTokens(userEmail);
+        this.write({ type: 'removed', email: userEmail });
+        return EXIT_CODES.SUCCESS;
+      }
+      case 'check': {
+        const users = typeof flags.user === 'string'
+          ? [flags.user]
+          : await this.tokenManager.listAuthenticatedUsers();
+        const results = [];
+
+        for (const userEmail of users) {
+          const health = await this.sessions.googleAuth.checkSavedTokens(userEmail);
+          results.push({
+            email: health.email,
+            valid: health.valid,
+            ...(health.error && { error: health.error })
+          });
+        }
+
+        this.writeCollection('tokens', results);
+        return results.every(result => result.valid) ? EXIT_CODES.SUCCESS : EXIT_CODES.AUTH;
+      }
+      default:
+        throw new CliError('Usage: tokens list | remove --user <email> | check [--user <email>]', EXIT_CODES.USAGE);
+    }
+  }
+
+  /**
+   * Builds a dry-run plan without changing anything and saves it for review
+   */
+  async commandPlan(flags) {
+    const sourceEmail = this.requireFlag(flags, 'source');
+    const targetEmail = this.requireFlag(flags, 'target');
+    const fileIds = this.readFileIds(flags);
+
+    this.validateTransfer(sourceEmail, targetEmail, fileIds);
+    const transferService = await this.getTransferService(sourceEmail, targetEmail);
+    const planService = new PlanService(transferService);
+
+    const plan = await planService.createPlan(fileIds, sourceEmail, targetEmail, {
+      sendNotificationEmail: Boolean(flags.notify),
+      accessPolicy: this.readAccessPolicy(flags)
+    });
+    const planPath = await planService.savePlan(plan, typeof flags.out === 'string' ? flags.out : null);
+    console.log(`💾 Plan saved to ${planPath}`);
+
+    if (this.format === 'ndjson') {
+      plan.files.forEach(file => this.write({ type: 'file', ...file }));
+      this.write({ type: 'plan', id: plan.id, path: planPath, summary: plan.summary });
+    } else {
+      this.write({ path: planPath, ...plan });
+    }
+
+    return plan.summary.blocked > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Executes a reviewed plan, stopping for files that changed since it was made
+   */
+  async commandExecute(flags) {
+    const planPath = this.requireFlag(flags, 'plan');
+    const plan = await PlanService.loadPlan(planPath);
+
+    // The plan carries its own access policy; flags may only repeat it
+    if (ACCESS_FLAGS.some(name => flags[name] !== undefined) &&
+      !AccessPolicy.isSame(this.readAccessPolicy(flags), plan.options.accessPolicy)) {
+      throw new CliError('The access options differ from the ones the plan was made with; make a new plan to change them', EXIT_CODES.USAGE);
+    }
+
+    const transferService = await this.getTransferService(plan.source, plan.target);
+    const planService = new PlanService(transferService);
+
+    const operationId = logger.logTransferStart(plan.source, plan.target, plan.summary.ready, { type: 'plan' });
+    const execution = await planService.executePlan(plan, {
+      delayBetweenTransfers: flags.delay !== undefined ? Number(flags.delay) : 1000,
+      moveToNewOwnerDrive: Boolean(flags['mirror-folders']),
+      operationId
+    });
+    logger.logTransferComplete(execution.summary, operationId);
+
+    if (this.format === 'ndjson') {
+      execution.results.forEach(result => this.write({ type: 'result', operationId, ...result }));
+      this.write({ type: 'summary', operationId, planId: plan.id, ...execution.summary });
+    } else {
+      this.write({ operationId, ...execution });
+    }
+
+    const { failed, drifted } = execution.summary;
+    return failed + drifted > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Rolls back earlier transfers from their permission snapshots
+   * --job undoes a whole batch job; otherwise the latest transfer of each listed file is undone
+   */
+  async commandRollback(flags) {
+    const filter = typeof flags.job === 'string'
+      ? { batchId: flags.job }
+      : { fileIds: this.readFileIds(flags) };
+
+    if (filter.fileIds && filter.fileIds.length === 0) {
+      throw new CliError('Pass --job <jobId> or the file IDs to roll back', EXIT_CODES.USAGE);
+    }
+
+    const snapshots = await new SnapshotStore().findRollbackCandidates(filter);
+    if (snapshots.length === 0) {
+      throw new CliError('No recorded transfers to roll back', EXIT_CODES.USAGE);
+    }
+
+    const results = [];
+    for (const group of RollbackService.groupByAccounts(snapshots)) {
+      const rollbackService = await this.getRollbackService(group.source, group.target);
+      const rollback = await rollbackService.rollbackSnapshots(group.snapshots, {
+        onResult: this.format === 'ndjson' ? result => this.write({ type: 'result', ...result }) : null
+      });
+      results.push(...rollback.results);
+    }
+
+    const summary = {
+      restored: results.filter(r => r.success).length,
+      partial: results.filter(r => !r.success && r.ownershipReturned).length,
+      failed: results.filter(r => !r.ownershipReturned).length,
+      total: results.length
+    };
+
+    if (this.format === 'ndjson') {
+      this.write({ type: 'summary', ...summary });
+    } else {
+      this.write({ results, summary });
+    }
+
+    return summary.restored === summary.total ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+  }
+
+  /**
+   * Transfers the files in a CSV or JSON manifest, grouped by target owner
+   * Nothing runs unless every row is valid; the results are written to a copy of the manifest
+   */
+  async commandManifest(flags) {
+    const sourceEmail = this.requireFlag(flags, 'source');
+    const manifestPath = this.requireFlag(flags, 'manifest');
+
+    const accessPolicy = this.readAccessPolicy(flags);
+
+    const manifestService = new ManifestService();
+    const manifest = await manifestService.loadManifest(manifestPath);
+
+    const validation = manifestService.validateManifest(manifest, sourceEmail);
+    if (!validation.valid) {
+      const problems = validation.problems.map(problem => `row ${problem.rowNumber}: ${problem.errors.join(', ')}`);
+      throw new CliError(`Validation failed: ${problems.join('; ')}`, EXIT_CODES.USAGE);
+    }
+
+    const groups = manifestService.groupByTarget(manifest);
+    console.log(`📋 ${manifest.rows.length} files for ${groups.length} target owners`);
+    groups.forEach(group => console.log(`   → ${group.targetEmail}: ${group.rows.length} files`));
+
+    for (const group of groups) {
+      let transferService;
+      try {
+        transferService = await this.getTransferService(sourceEmail, group.targetEmail);
+      } catch (error) {
+        console.log(`❌ Skipping ${group.targetEmail}: ${error.message}`);
+        manifestService.skipGroup(group, error.message);
+        continue;
+      }
+
+      const operationId = logger.logTransferStart(sourceEmail, group.targetEmail, group.rows.length, { type: 'manifest' });
+      await manifestService.runGroup(group, transferService, {
+        continueOnError: !flags['stop-on-error'],
+        moveToNewOwnerDrive: Boolean(flags['mirror-folders']),
+        accessPolicy,
+        operationId,
+        onResult: this.format === 'ndjson' ? result => this.write({ type: 'result', operationId, ...result }) : null
+      });
+      logger.logTransferComplete(manifestService.summarize({ rows: group.rows }), operationId);
+    }
+
+    const summary = manifestService.summarize(manifest);
+    const resultsPath = await manifestService.writeResults(manifest, typeof flags.out === 'string' ? flags.out : null);
+    console.log(`💾 Results written to ${resultsPath}`);
+
+    if (this.format === 'ndjson') {
+      this.write({ type: 'summary', resultsPath, ...summary });
+    } else {
+      this.write({
+        resultsPath,
+        rows: manifest.rows.map(row => ({ rowNumber: row.rowNumber, fileId: row.fileId, targetEmail: row.targetEmail, ...row.result })),
+        summary
+      });
+    }
+
+    return summary.transferred + summary.alreadyOwner === summary.total ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+  }
+
+  /**
+   * Exports the audit trail for one operation or for the operations started in a date range
+   */
+  async commandReport(flags) {
+    const exportFormat = flags.export || 'json';
+    if (!['json', 'csv'].includes(exportFormat)) {
+      throw new CliError(`Unknown export format: ${exportFormat} (expected json or csv)`, EXIT_CODES.USAGE);
+    }
+
+    const operationId = typeof flags.operation === 'string' ? flags.operation : null;
+    if (!operationId && !flags.from && !flags.to) {
+      throw new CliError('Pass --operation <id> or a date range with --from/--to', EXIT_CODES.USAGE);
+    }
+
+    let report;
+    try {
+      report = await auditLog.buildReport({ operationId, from: flags.from, to: flags.to });
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    if (operationId && report.operations.length === 0) {
+      throw new CliError(`No audit records found for operation ${operationId}`, EXIT_CODES.FAILURE);
+    }
+
+    if (typeof flags.out === 'string') {
+      const reportPath = await auditLog.exportReport(report, exportFormat, flags.out);
+      console.log(`💾 Report saved to ${reportPath}`);
+      this.write({ path: reportPath, operations: report.operations.length });
+    } else if (exportFormat === 'csv') {
+      this.stdout.write(auditLog.toCsv(report));
+    } else if (this.format === 'ndjson') {
+      report.operations.forEach(operation => this.write({ type: 'operation', ...operation }));
+    } else {
+      this.write(report);
+    }
+
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Scans everything an account owns and reports what an offboarding has to deal with
+   * The summary goes to stderr; the full report to --out or stdout
+   */
+  async commandInventory(flags) {
+    const userEmail = this.requireFlag(flags, 'user');
+    if (!ValidationUtils.isValidEmail(userEmail)) {
+      throw new CliError('Invalid email address', EXIT_CODES.USAGE);
+    }
+
+    const exportFormat = flags.export || 'json';
+    if (!['json', 'html'].includes(exportFormat)) {
+      throw new CliError(`Unknown export format: ${exportFormat} (expected json or html)`, EXIT_CODES.USAGE);
+    }
+
+    const topCount = flags.top !== undefined ? Number(flags.top) : 20;
+    if (!Number.isInteger(topCount) || topCount < 1) {
+      throw new CliError('--top must be a positive integer', EXIT_CODES.USAGE);
+    }
+
+    // The planned new owner, so the report can tell whether ownership can move to them at all
+    const targetEmail = flags.target !== undefined ? flags.target : null;
+    if (targetEmail !== null && !ValidationUtils.isValidEmail(targetEmail)) {
+      throw new CliError('Invalid target email address', EXIT_CODES.USAGE);
+    }
+
+    let authClient;
+    try {
+      authClient = await this.sessions.getClient(userEmail);
+    } catch (error) {
+      throw this.authError(error);
+    }
+
+    const inventoryService = new InventoryService(new DriveService(authClient), { topCount });
+    const report = await inventoryService.buildInventory(userEmail, { targetEmail });
+    inventoryService.printSummary(report);
+
+    if (typeof flags.out === 'string') {
+      const reportPath = await inventoryService.exportReport(report, exportFormat, flags.out);
+      console.log(`💾 Inventory saved to ${reportPath}`);
+      this.write({ path: reportPath, summary: report.summary });
+    } else if (exportFormat === 'html') {
+      this.stdout.write(inventoryService.toHtml(report));
+    } else {
+      this.write(report);
+    }
+
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Transfers everything the source owns, then reports what it still owns and why
+   */
+  async commandOffboard(flags) {
+    const sourceEmail = this.requireFlag(flags, 'source');
+    const targetEmail = this.requireFlag(flags, 'target');
+
+    const errors = ValidationUtils.validateAccountPair(sourceEmail, targetEmail);
+    if (errors.length > 0) {
+      throw new CliError(`Validation failed: ${errors.join('; ')}`, EXIT_CODES.USAGE);
+    }
+
+    const concurrency = flags.concurrency !== undefined ? Number(flags.concurrency) : config.rateLimit.concurrency;
+    this.validateBatchOptions(0, concurrency);
+    const accessPolicy = this.readAccessPolicy(flags);
+
+    const transferService = await this.getTransferService(sourceEmail, targetEmail);
+    const offboardingService = new OffboardingService(transferService);
+
+    const discovery = await offboardingService.discover(sourceEmail);
+    const counts = {
+      folders: discovery.folders.length,
+      filesInFolders: discovery.filesInFolders.length,
+      looseFiles: discovery.looseFiles.length,
+      orphans: discovery.orphans.length,
+      trashed: discovery.trashed.length,
+      total: discovery.total
+    };
+
+    if (flags['dry-run']) {
+      this.write({ type: 'discovery', source: sourceEmail, target: targetEmail, ...counts });
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const operationId = logger.logTransferStart(sourceEmail, targetEmail, discovery.total, { type: 'offboarding' });
+    const run = await offboardingService.run(discovery, targetEmail, {
+      concurrency,
+      sendNotificationEmail: Boolean(flags.notify),
+      moveToNewOwnerDrive: Boolean(flags['mirror-folders']),
+      accessPolicy,
+      operationId,
+      onResult: async (result) => {
+        if (this.format === 'ndjson') {
+          this.write({ type: 'result', operationId, ...result });
+        }
+      }
+    });
+    logger.logTransferComplete(run.summary, operationId);
+
+    const remaining = await offboardingService.reconcile(discovery, run);
+
+    if (this.format === 'ndjson') {
+      remaining.forEach(item => this.write({ type: 'remaining', operationId, ...item }));
+      this.write({ type: 'summary', operationId, discovered: counts, ...run.summary, stillOwned: remaining.length });
+    } else {
+      this.write({ operationId, discovered: counts, summary: { ...run.summary, stillOwned: remaining.length }, remaining });
+    }
+
+    return remaining.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Moves files and folder trees into a shared drive instead of handing them to another person
+   */
+  async commandMigrate(flags) {
+    const sourceEmail = this.requireFlag(flags, 'source');
+    if (!ValidationUtils.isValidEmail(sourceEmail)) {
+      throw new CliError('Invalid source email address', EXIT_CODES.USAGE);
+    }
+
+    let migrationService;
+    try {
+      migrationService = new SharedDriveMigrationService(await this.sessions.getClient(sourceEmail));
+    } catch (error) {
+      throw this.authError(error);
+    }
+
+    if (flags['list-drives']) {
+      const drives = await migrationService.listSharedDrives();
+      this.writeCollection('drives', drives.map(drive => ({
+        id: drive.id,
+        name: drive.name,
+        role: drive.role,
+        canMigrate: SharedDriveMigrationService.MOVING_ROLES.includes(drive.role)
+      })));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const driveId = this.toFileId(this.requireFlag(flags, 'drive'));
+    const folderId = typeof flags.folder === 'string' ? this.toFileId(flags.folder) : null;
+    const fileIds = this.readFileIds(flags);
+
+    const validation = ValidationUtils.validateFileIds(fileIds);
+    if (!validation.valid) {
+      throw new CliError(`Validation failed: ${validation.error}`, EXIT_CODES.USAGE);
+    }
+
+    let destination;
+    try {
+      destination = await migrationService.resolveDestination(driveId, folderId);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    const dryRun = Boolean(flags['dry-run']);
+    const operationId = dryRun
+      ? null
+      : logger.logTransferStart(sourceEmail, `shared drive ${destination.drive.name}`, fileIds.length, { type: 'shared_drive' });
+
+    console.log(`🏢 ${dryRun ? 'Checking' : 'Moving'} ${fileIds.length} items into ${destination.folderName}`);
+
+    const migration = await migrationService.migrate(fileIds, destination, {
+      dryRun,
+      operationId,
+      onResult: async (result) => {
+        if (this.format === 'ndjson') {
+          this.write({ type: 'result', operationId, ...result });
+        }
+      }
+    });
+
+    if (operationId) {
+      logger.logTransferComplete(migration.summary, operationId);
+    }
+
+    if (this.format === 'ndjson') {
+      this.write({ type: 'summary', operationId, destination: destination.folderName, ...migration.summary });
+    } else {
+      this.write({ operationId, destination: destination.folderName, summary: migration.summary, results: migration.results });
+    }
+
+    return migration.summary.blocked + migration.summary.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Authenticates the original and the new owner of rolled-back files
+   */
+  async getRollbackService(originalOwnerEmail, currentOwnerEmail) {
+    try {
+      const { source, target } = await this.sessions.getTransferSessions(originalOwnerEmail, currentOwnerEmail);
+      return new RollbackService(source.client, target.client);
+    } catch (error) {
+      throw this.authError(error);
+    }
+  }
+
+  /**
+   * Writes a list as one JSON document or one line per item
+   */
+  writeCollection(key, items) {
+    if (this.format === 'ndjson') {
+      items.forEach(item => this.write(item));
+    } else {
+      this.write({ [key]: items });
+    }
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  new TransferCli().run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { TransferCli, CliError, EXIT_CODES, parseArgs };
\ No newline at end of file
@@ -0,0 +1,485 @@
+// src/server.js
+const crypto = require('crypto');
+const express = require('express');
+const GoogleAuth = require('./auth/auth');
+const TokenManager = require('./auth/tokenManager');
+const SessionRegistry = require('./auth/sessionRegistry');
+const { createTokenStore } = require('./auth/tokenStore');
+const DriveService = require('./services/driveService');
+const TransferService = require('./services/transferService');
+const AccessPolicy = require('./services/accessPolicy');
+const JobManager = require('./services/jobManager');
+const JobStore = require('./services/jobStore');
+const ValidationUtils = require('./utils/validation');
+const logger = require('./utils/logger');
+const config = require('../config/config');
+
+// Consent flows started through the API expire after this long
+const CONSENT_TTL = 10 * 60 * 1000;
+
+// Hosts that only accept connections from this machine; anything else needs an API key
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Compares two secrets in constant time
+ * Digests are compared because timingSafeEqual needs inputs of equal length
+ */
+function secretsMatch(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+class HttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class ApiServer {
+  constructor(options = {}) {
+    this.tokenManager = options.tokenManager;
+    this.sessions = options.sessions;
+    this.jobManager = options.jobManager || new JobManager();
+    // Batches are also checkpointed here, so they can be resumed after a restart
+    this.jobStore = options.jobStore || new JobStore();
+    this.pendingConsents = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Builds the Express application with all routes
+   */
+  createApp() {
+    const app = express();
+
+    app.use(express.json({ limit: '1mb' }));
+
+    const callbackPath = new URL(config.google.redirectUri).pathname;
+
+    // The OAuth callback is opened by the browser, so it cannot carry the API key
+    app.get(callbackPath, (req, res) => this.handleAuthCallback(req, res));
+
+    app.use((req, res, next) => this.requireApiKey(req, next));
+
+    app.post('/auth/:email/start', (req, res) => this.handleAuthStart(req, res));
+    app.get('/auth/accounts', (req, res) => this.handleListAccounts(req, res));
+    app.get('/files', (req, res) => this.handleListFiles(req, res));
+    app.post('/transfers', (req, res) => this.handleSingleTransfer(req, res));
+    app.post('/transfers/batch', (req, res) => this.handleBatchTransfer(req, res));
+    app.get('/jobs', (req, res) => this.handleListJobs(req, res));
+    app.get('/jobs/:id', (req, res) => this.handleGetJob(req, res));
+    app.get('/jobs/:id/results', (req, res) => this.handleGetJobResults(req, res));
+
+    app.use((req, res) => {
+      res.status(404).json({ error: 'Not found' });
+    });
+
+    // Express 5 forwards rejected promises from handlers here
+    // next is unused, but Express only treats a function with four parameters as an error handler
+    app.use((error, req, res, next) => {
+      const status = error.status || 500;
+      if (status >= 500) {
+        logger.error(`API request failed: ${req.method} ${req.path}`, error);
+      }
+      res.status(status).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    });
+
+    return app;
+  }
+
+  /**
+   * Requires the configured API key as a bearer token, when one is configured
+   */
+  requireApiKey(req, next) {
+    if (!config.app.apiKey) {
+      return next();
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (!match || !secretsMatch(match[1], config.app.apiKey)) {
+      return next(new HttpError(401, 'Missing or invalid API key'));
+    }
+
+    return next();
+  }
+
+  /**
+   * Starts the OAuth consent flow for an account and returns the URL to open
+   */
+  async handleAuthStart(req, res) {
+    const userEmail = this.requireEmail(req.params.email, 'email');
+
+    this.expireConsents();
+    const consent = await this.sessions.googleAuth.beginConsent();
+    this.pendingConsents.set(consent.state, {
+      ...consent,
+      userEmail,
+      createdAt: Date.now()
+    });
+
+    res.status(201).json({ email: userEmail, authUrl: consent.authUrl });
+  }
+
+  /**
+   * Receives the OAuth redirect, checks its state and exchanges the code for tokens
+   */
+  async handleAuthCallback(req, res) {
+    const { code, state, error } = req.query;
+    const consent = typeof state === 'string' ? this.pendingConsents.get(state) : null;
+
+    if (!consent) {
+      throw new HttpError(400, 'Unknown or expired state parameter');
+    }
+    this.pendingConsents.delete(state);
+
+    if (error) {
+      throw new HttpError(400, 'Authorization was not granted');
+    }
+
+    if (typeof code !== 'string' || code === '') {
+      throw new HttpError(400, 'Missing authorization code');
+    }
+
+    try {
+      const { userEmail, identity, client } = await this.sessions.googleAuth.completeConsent(
+        consent,
+        code,
+        consent.userEmail
+      );
+      this.sessions.addSession(userEmail, client, identity);
+      logger.info('Account authenticated through API', { userEmail });
+
+      res.json({ authenticated: true, email: userEmail });
+    } catch (consentError) {
+      throw new HttpError(400, consentError.message);
+    }
+  }
+
+  /**
+   * Lists accounts with saved tokens
+   */
+  async handleListAccounts(req, res) {
+    const users = await this.tokenManager.listAuthenticatedUsers();
+    const accounts = [];
+
+    for (const userEmail of users) {
+      try {
+        accounts.push(await this.tokenManager.getTokenInfo(userEmail));
+      } catch (error) {
+        accounts.push({ email: userEmail, error: error.message });
+      }
+    }
+
+    res.json({ accounts });
+  }
+
+  /**
+   * Lists one page of files for an account
+   */
+  async handleListFiles(req, res) {
+    const userEmail = this.requireEmail(req.query.user, 'user');
+    const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : 100;
+
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 1000) {
+      throw new HttpError(400, 'pageSize must be an integer between 1 and 1000');
+    }
+
+    const authClient = await this.getClient(userEmail);
+    const driveService = new DriveService(authClient);
+
+    const result = await driveService.listFiles({
+      pageSize,
+      pageToken: typeof req.query.pageToken === 'string' ? req.query.pageToken : null,
+      filters: { owner: userEmail }
+    });
+
+    res.json({ files: result.files || [], nextPageToken: result.nextPageToken || null });
+  }
+
+  /**
+   * Submits a single-file transfer job
+   */
+  async handleSingleTransfer(req, res) {
+    const {
+      source,
+      target,
+      fileId,
+      sendNotificationEmail = false,
+      moveToNewOwnerDrive = false,
+      accessPolicy = null
+    } = req.body || {};
+    this.validateTransfer(source, target, [fileId]);
+    this.validateAccessPolicy(accessPolicy);
+
+    const transferService = await this.getTransferService(source, target);
+
+    const actor = this.getActor(req);
+
+    const job = this.jobManager.createJob('transfer', { source, target, fileIds: [fileId] }, async (job) => {
+      const operationId = logger.logTransferStart(source, target, 1, { actor });
+      job.operationId = operationId;
+      try {
+        job.results.push(await transferService.transferFileOwnership(fileId, target, {
+          sendNotificationEmail,
+          moveToNewOwnerDrive: Boolean(moveToNewOwnerDrive),
+          accessPolicy,
+          operationId
+        }));
+      } catch (error) {
+        job.results.push({ success: false, error: error.message, fileId });
+      }
+      const summary = this.jobManager.summarize(job.results);
+      logger.logTransferComplete(summary, operationId);
+      return summary;
+    });
+
+    res.status(202).json(this.describeJob(job));
+  }
+
+  /**
+   * Submits a batch transfer job
+   */
+  async handleBatchTransfer(req, res) {
+    const {
+      source,
+      target,
+      fileIds,
+      delayBetweenTransfers = 0,
+      concurrency = config.rateLimit.concurrency,
+      continueOnError = true,
+      sendNotificationEmail = false,
+      moveToNewOwnerDrive = false,
+      accessPolicy = null
+    } = req.body || {};
+    this.validateTransfer(source, target, fileIds);
+    this.validateAccessPolicy(accessPolicy);
+
+    const rateLimit = ValidationUtils.validateRateLimitParams(delayBetweenTransfers, 0);
+    if (!ValidationUtils.isValidConcurrency(concurrency)) {
+      rateLimit.errors.push('concurrency must be an integer between 1 and 50');
+    }
+    if (rateLimit.errors.length > 0) {
+      throw new HttpError(400, 'Validation failed', rateLimit.errors);
+    }
+
+    const transferService = await this.getTransferService(source, target);
+
+    const actor = this.getActor(req);
+
+    // The checkpoint outlives the server; after a restart the batch is resumed with "batch --resume <checkpointId>"
+    const checkpoint = await this.jobStore.createJob({
+      source,
+      target,
+      fileIds,
+      options: {
+        delayBetweenTransfers,
+        concurrency,
+        continueOnError: Boolean(continueOnError),
+        sendNotificationEmail: Boolean(sendNotificationEmail),
+        moveToNewOwnerDrive: Boolean(moveToNewOwnerDrive),
+        accessPolicy
+      }
+    });
+
+    const input = { source, target, fileIds, checkpointId: checkpoint.id };
+    const job = this.jobManager.createJob('batch', input, async (job) => {
+      const operationId = logger.logTransferStart(source, target, fileIds.length, { type: 'batch', actor });
+      job.operationId = operationId;
+      const batchResult = await transferService.runBatchJob(checkpoint, this.jobStore, {
+        operationId,
+        onResult: result => job.results.push(result)
+      });
+      logger.logTransferComplete(batchResult.summary, operationId);
+      return batchResult.summary;
+    });
+
+    res.status(202).json(this.describeJob(job));
+  }
+
+  async handleListJobs(req, res) {
+    res.json({ jobs: this.jobManager.listJobs().map(job => this.describeJob(job)) });
+  }
+
+  async handleGetJob(req, res) {
+    res.json(this.describeJob(this.requireJob(req.params.id)));
+  }
+
+  async handleGetJobResults(req, res) {
+    const job = this.requireJob(req.params.id);
+    res.json({ id: job.id, status: job.status, results: job.results });
+  }
+
+  /**
+   * Public view of a job: everything except the per-file results
+   */
+  describeJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      operationId: job.operationId || null,
+      checkpointId: job.input.checkpointId || null,
+      source: job.input.source,
+      target: job.input.target,
+      fileCount: job.input.fileIds.length,
+      processed: job.results.length,
+      summary: job.summary,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Names the caller in audit records; API requests are attributed to their client address
+   */
+  getActor(req) {
+    return `api:${req.ip}`;
+  }
+
+  requireJob(jobId) {
+    const job = this.jobManager.getJob(jobId);
+    if (!job) {
+      throw new HttpError(404, `Job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  requireEmail(value, name) {
+    if (!ValidationUtils.isValidEmail(value)) {
+      throw new HttpError(400, `Invalid or missing ${name}`);
+    }
+    return value;
+  }
+
+  /**
+   * Validates transfer input with the same rules as the CLI and the menu
+   */
+  validateTransfer(source, target, fileIds) {
+    const validation = ValidationUtils.validateTransferParams(source, target, fileIds);
+    if (!validation.valid) {
+      throw new HttpError(400, 'Validation failed', validation.errors);
+    }
+  }
+
+  /**
+   * Checks the access policy of a transfer request before any job is created
+   */
+  validateAccessPolicy(accessPolicy) {
+    if (accessPolicy === null) return;
+
+    try {
+      AccessPolicy.fromOptions(accessPolicy);
+    } catch (error) {
+      throw new HttpError(400, 'Validation failed', [error.message]);
+    }
+  }
+
+  /**
+   * Gets an account's client from saved tokens; the API never prompts for a login
+   */
+  async getClient(userEmail) {
+    try {
+      return await this.sessions.getClient(userEmail);
+    } catch (error) {
+      throw new HttpError(401, error.message);
+    }
+  }
+
+  async getTransferService(sourceEmail, targetEmail) {
+    try {
+      const { source, target } = await this.sessions.getTransferSessions(sourceEmail, targetEmail);
+      return new TransferService(source.client, target.client);
+    } catch (error) {
+      throw new HttpError(401, error.message);
+    }
+  }
+
+  /**
+   * Drops consent flows that were never completed
+   */
+  expireConsents() {
+    const cutoff = Date.now() - CONSENT_TTL;
+    for (const [state, consent] of this.pendingConsents) {
+      if (consent.createdAt < cutoff) {
+        this.pendingConsents.delete(state);
+      }
+    }
+  }
+
+  /**
+   * Starts listening; binds to localhost unless configured otherwise
+   * Transfers must never be reachable from the network without an API key
+   */
+  async start(port = config.app.port, host = config.app.host) {
+    if (!config.app.apiKey && !LOOPBACK_HOSTS.includes(host)) {
+      throw new Error(`Refusing to listen on ${host} without an API key; set API_KEY or use HOST=127.0.0.1`);
+    }
+
+    const app = this.createApp();
+
+    await new Promise((resolve, reject) => {
+      this.server = app.listen(port, host, error => (error ? reject(error) : resolve()));
+    });
+
+    logger.info(`API server listening on http://${host}:${this.server.address().port}`);
+    return this.server;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * Creates a server wired to the configured token store
+ * The token store secret must come from the environment, since nothing can be prompted
+ */
+function createApiServer() {
+  const validation = ValidationUtils.validateConfig(config);
+  if (!validation.valid) {
+    const problems = [
+      ...validation.missingFields.map(field => `Missing: ${field}`),
+      ...validation.errors
+    ];
+    throw new Error(`Configuration error: ${problems.join('; ')}`);
+  }
+
+  let tokenStore = null;
+  if (config.auth.mode !== 'service-account') {
+    if (!config.tokens.encryptionKey && !config.tokens.passphrase) {
+      throw new Error('Set TOKEN_ENCRYPTION_KEY or TOKEN_PASSPHRASE to run the API server');
+    }
+    tokenStore = createTokenStore();
+  }
+
+  const tokenManager = new TokenManager(tokenStore);
+  const sessions = new SessionRegistry(new GoogleAuth(tokenStore), tokenManager, { interactive: false });
+
+  return new ApiServer({ tokenManager, sessions });
+}
+
+// Main execution
+if (require.main === module) {
+  try {
+    createApiServer().start().catch(error => {
+      logger.error('API server failed to start', error);
+      process.exitCode = 1;
+    });
+  } catch (error) {
+    logger.error('API server failed to start', error);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { ApiServer, HttpError, createApiServer };
\ No newline at end of file
@@ -0,0 +1,153 @@
+// src/services/accessPolicy.js
+const ValidationUtils = require('../utils/validation');
+
+// What the previous owner is left with once ownership has moved; Drive leaves them as writer
+const PREVIOUS_OWNER_ROLES = ['writer', 'commenter', 'reader', 'remove'];
+
+const SHARING_CHOICES = ['keep', 'revoke'];
+
+/**
+ * Access changes applied to a file right after its ownership is transferred
+ * One policy is given per batch; it only decides what to change, TransferService makes the calls
+ */
+class AccessPolicy {
+  constructor({
+    previousOwner = 'writer',
+    domainSharing = 'keep',
+    anyoneSharing = 'keep',
+    allowedDomains = []
+  } = {}) {
+    const domains = (Array.isArray(allowedDomains) ? allowedDomains : String(allowedDomains).split(','))
+      .map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''))
+      .filter(Boolean);
+
+    const errors = [];
+    if (!PREVIOUS_OWNER_ROLES.includes(previousOwner)) {
+      errors.push(`Unknown previous owner access: ${previousOwner} (expected ${PREVIOUS_OWNER_ROLES.join(', ')})`);
+    }
+    if (!SHARING_CHOICES.includes(domainSharing)) {
+      errors.push(`Unknown domain sharing choice: ${domainSharing} (expected keep or revoke)`);
+    }
+    if (!SHARING_CHOICES.includes(anyoneSharing)) {
+      errors.push(`Unknown link sharing choice: ${anyoneSharing} (expected keep or revoke)`);
+    }
+    domains
+      .filter(domain => !ValidationUtils.isValidEmail(`user@${domain}`))
+      .forEach(domain => errors.push(`Invalid allowed domain: ${domain}`));
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    this.previousOwner = previousOwner;
+    this.domainSharing = domainSharing;
+    this.anyoneSharing = anyoneSharing;
+    this.allowedDomains = domains;
+  }
+
+  /**
+   * Builds a policy from transfer options; null when nothing would change
+   */
+  static fromOptions(options) {
+    if (!options) {
+      return null;
+    }
+
+    const policy = options instanceof AccessPolicy ? options : new AccessPolicy(options);
+    return policy.changesAnything() ? policy : null;
+  }
+
+  /**
+   * Tells whether two sets of policy options make the same changes; null stands for no policy
+   */
+  static isSame(a, b) {
+    const key = options => {
+      const policy = AccessPolicy.fromOptions(options);
+      return policy && JSON.stringify({ ...policy, allowedDomains: policy.allowedDomains.slice().sort() });
+    };
+    return key(a) === key(b);
+  }
+
+  changesAnything() {
+    return this.previousOwner !== 'writer' ||
+      this.domainSharing === 'revoke' ||
+      this.anyoneSharing === 'revoke' ||
+      this.allowedDomains.length > 0;
+  }
+
+  /**
+   * Describes the policy in a line per rule, for confirmations and summaries
+   */
+  describe() {
+    const lines = [
+      this.previousOwner === 'remove'
+        ? 'Previous owner: access removed'
+        : `Previous owner: ${this.previousOwner}`,
+      `Domain-wide sharing: ${this.domainSharing}`,
+      `Anyone-with-the-link sharing: ${this.anyoneSharing}`
+    ];
+
+    if (this.allowedDomains.length > 0) {
+      lines.push(`Collaborators outside ${this.allowedDomains.join(', ')}: removed`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Works out the permission changes for a file whose ownership has just moved
+   * The first rule that applies to a permission wins; the owner is never touched
+   */
+  plan(permissions, { previousOwners = [] } = {}) {
+    const previous = previousOwners.map(email => email.toLowerCase());
+    const actions = [];
+
+    permissions.forEach(permission => {
+      if (permission.role === 'owner') return;
+
+      const email = (permission.emailAddress || '').toLowerCase();
+      const target = {
+        permissionId: permission.id,
+        type: permission.type,
+        emailAddress: permission.emailAddress || null,
+        domain: permission.domain || null,
+        fromRole: permission.role
+      };
+
+      if (email && previous.includes(email)) {
+        if (this.previousOwner === 'remove') {
+          actions.push({ ...target, action: 'remove_permission', reason: 'Previous owner access removed by policy' });
+        } else if (this.previousOwner !== permission.role) {
+          actions.push({
+            ...target,
+            action: 'update_role',
+            toRole: this.previousOwner,
+            reason: `Previous owner changed to ${this.previousOwner} by policy`
+          });
+        }
+        return;
+      }
+
+      if (permission.type === 'anyone' && this.anyoneSharing === 'revoke') {
+        actions.push({ ...target, action: 'remove_permission', reason: 'Anyone-with-the-link sharing revoked' });
+        return;
+      }
+
+      if (permission.type === 'domain' && this.domainSharing === 'revoke') {
+        actions.push({ ...target, action: 'remove_permission', reason: `Sharing with ${permission.domain} revoked` });
+        return;
+      }
+
+      const domain = permission.type === 'domain' ? (permission.domain || '').toLowerCase() : email.split('@')[1];
+      if (this.allowedDomains.length > 0 && domain && !this.allowedDomains.includes(domain)) {
+        actions.push({ ...target, action: 'remove_permission', reason: `${domain} is not an allowed domain` });
+      }
+    });
+
+    return actions;
+  }
+}
+
+AccessPolicy.PREVIOUS_OWNER_ROLES = PREVIOUS_OWNER_ROLES;
+
+module.exports = AccessPolicy;
@@ -1,28 +1,37 @@
 // src/services/driveService.js
 const { google } = require('googleapis');
+const RequestScheduler = require('../utils/requestScheduler');
+const DriveQuery = require('../utils/driveQuery');
 
 class DriveService {
-  constructor(authClient) {
-    this.drive = google.drive({ version: 'v3', auth: authClient });
+  constructor(authClient, scheduler = RequestScheduler.getShared()) {
+    // Every API call goes through the shared scheduler for rate limiting and retries
+    this.drive = scheduler.wrap(google.drive({ version: 'v3', auth: authClient }));
     this.authClient = authClient;
+    this.scheduler = scheduler;
   }
 
   /**
    * Lists files owned by the current user
    * This method supports pagination for handling large numbers of files
+   * Pass filters (see DriveQuery.fromFilters) rather than building a raw query string
    */
   async listFiles(options = {}) {
-    try {
-      const {
-        pageSize = 100,
-        pageToken = null,
-        query = null,
-        orderBy = 'name'
-      } = options;
+    const {
+      pageSize = 100,
+      pageToken = null,
+      filters = null,
+      orderBy = 'name',
+      fields = DriveService.LIST_FIELDS
+    } = options;
+
+    // Invalid filters are a usage problem, not a Drive failure
+    const query = filters ? DriveQuery.fromFilters(filters).build() : options.query || null;
 
+    try {
       const params = {
         pageSize,
-        fields: 'nextPageToken, files(id, name, mimeType, owners, parents, webViewLink)',
+        fields: `nextPageToken, files(${fields})`,
         orderBy
       };
 
@@ -44,7 +53,8 @@ class DriveService {
     try {
       const response = await this.drive.files.get({
         fileId,
-        fields: 'id, name, mimeType, owners, permissions, parents, webViewLink, size, createdTime, modifiedTime'
+        fields: 'id, name, mimeType, owners, permissions, parents, webViewLink, size, createdTime, modifiedTime, driveId',
+        supportsAllDrives: true
       });
       return response.data;
     } catch (error) {
@@ -60,7 +70,8 @@ class DriveService {
     try {
       const response = await this.drive.permissions.list({
         fileId,
-        fields: 'permissions(id, role, type, emailAddress, displayName)'
+        fields: 'permissions(id, role, type, emailAddress, displayName)',
+        supportsAllDrives: true
       });
       return response.data.permissions;
     } catch (error) {
@@ -100,12 +111,25 @@ class DriveService {
     }
   }
 
+  /**
+   * Gets the ID of the user's My Drive root folder
+   * Files list their parents by ID, so the "root" alias cannot be compared directly
+   */
+  async getRootFolderId() {
+    try {
+      const response = await this.drive.files.get({ fileId: 'root', fields: 'id' });
+      return response.data.id;
+    } catch (error) {
+      throw new Error(`Failed to get root folder: ${error.message}`);
+    }
+  }
+
   /**
    * Checks if a file exists and is accessible
    */
   async fileExists(fileId) {
     try {
-      await this.drive.files.get({ fileId, fields: 'id' });
+      await this.drive.files.get({ fileId, fields: 'id', supportsAllDrives: true });
       return true;
     } catch (error) {
       if (error.code === 404) {
@@ -119,7 +143,7 @@ class DriveService {
    * Gets files by their names (useful for finding specific documents)
    */
   async getFilesByName(fileName) {
-    const query = `name='${fileName}' and trashed=false`;
+    const query = new DriveQuery().nameEquals(fileName).trashed(false).build();
     return await this.searchFiles(query);
   }
 
@@ -127,9 +151,73 @@ class DriveService {
    * Gets all files in a specific folder
    */
   async getFilesInFolder(folderId, options = {}) {
-    const query = `'${folderId}' in parents and trashed=false`;
+    const query = new DriveQuery().inFolder(folderId).trashed(false).build();
     return await this.searchFiles(query, options);
   }
+
+  /**
+   * Gets every direct child of a folder, following all result pages
+   * getFilesInFolder only returns a single page, which silently truncates large folders
+   */
+  async getAllFilesInFolder(folderId, options = {}) {
+    const query = new DriveQuery().inFolder(folderId).trashed(false).build();
+    const files = [];
+
+    for await (const file of this.iterateFiles({ ...options, query })) {
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  /**
+   * Gets every file matching the filters, following all result pages
+   * Use iterateFiles instead when the result may be large
+   */
+  async listAllFiles(filters, options = {}) {
+    const files = [];
+
+    for await (const file of this.iterateFiles({ ...options, filters })) {
+      files.push(file);
+    }
+
+    return files;
+  }
+
+  /**
+   * Yields result pages ({ files, nextPageToken }) one at a time, starting at options.pageToken
+   * Only the current page is held in memory, however many files the account has
+   */
+  async *iterateFilePages(options = {}) {
+    let pageToken = options.pageToken || null;
+
+    do {
+      const page = await this.listFiles({ pageSize: 1000, ...options, pageToken });
+      pageToken = page.nextPageToken || null;
+      yield { files: page.files || [], nextPageToken: pageToken };
+    } while (pageToken);
+  }
+
+  /**
+   * Yields every matching file across all result pages, in the requested order
+   */
+  async *iterateFiles(options = {}) {
+    for await (const page of this.iterateFilePages(options)) {
+      yield* page.files;
+    }
+  }
+
+  /**
+   * Checks whether a Drive item is a folder
+   */
+  isFolder(file) {
+    return file && file.mimeType === DriveService.FOLDER_MIME_TYPE;
+  }
 }
 
+DriveService.FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// File fields returned by listFiles unless the caller asks for others
+DriveService.LIST_FIELDS = 'id, name, mimeType, owners, parents, webViewLink, size, createdTime, modifiedTime';
+
 module.exports = DriveService;
\ No newline at end of file
@@ -0,0 +1,232 @@
+// src/services/fileListingService.js
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const FileResolver = require('./fileResolver');
+const { escapeCsv } = require('../utils/csv');
+const config = require('../../config/config');
+
+// Selectable columns: the list fields each one needs, how to read it and its width in the terminal
+const COLUMNS = {
+  name: { header: 'Name', fields: ['name'], width: 40, value: file => file.name },
+  id: { header: 'ID', fields: ['id'], width: 44, value: file => file.id },
+  type: { header: 'Type', fields: ['mimeType'], width: 16, value: file => FileResolver.describeType(file.mimeType) },
+  size: {
+    header: 'Size',
+    fields: ['size', 'quotaBytesUsed'],
+    width: 10,
+    // Google Docs, Sheets and Slides have no size; their storage use is in quotaBytesUsed
+    value: file => {
+      const bytes = file.size !== undefined ? file.size : file.quotaBytesUsed;
+      return bytes !== undefined ? Number(bytes) : null;
+    }
+  },
+  modified: { header: 'Modified', fields: ['modifiedTime'], width: 16, value: file => file.modifiedTime || null },
+  created: { header: 'Created', fields: ['createdTime'], width: 16, value: file => file.createdTime || null },
+  owner: {
+    header: 'Owner',
+    fields: ['owners(emailAddress)'],
+    width: 30,
+    value: file => (file.owners || []).map(owner => owner.emailAddress).join('; ')
+  },
+  shared: {
+    header: 'Shared',
+    fields: ['permissionIds'],
+    width: 6,
+    // Permissions other than the owner's own
+    value: file => Math.max((file.permissionIds || []).length - 1, 0)
+  },
+  link: { header: 'Link', fields: ['webViewLink'], width: 60, value: file => file.webViewLink || null }
+};
+
+const DEFAULT_COLUMNS = ['name', 'type', 'size', 'modified', 'shared'];
+
+// Sort keys and the Drive orderBy field behind each; sizes and dates list the largest and newest first
+const SORT_ORDERS = {
+  name: { field: 'name', order: 'asc' },
+  size: { field: 'quotaBytesUsed', order: 'desc' },
+  modified: { field: 'modifiedTime', order: 'desc' }
+};
+
+class FileListingService {
+  /**
+   * Parses a comma-separated column list; empty means the default columns
+   */
+  parseColumns(value) {
+    if (!value || (typeof value === 'string' && value.trim() === '')) {
+      return [...DEFAULT_COLUMNS];
+    }
+
+    const columns = (Array.isArray(value) ? value : String(value).split(','))
+      .map(column => String(column).trim().toLowerCase())
+      .filter(Boolean);
+
+    const unknown = columns.filter(column => !COLUMNS[column]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column: ${unknown.join(', ')} (expected ${Object.keys(COLUMNS).join(', ')})`);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Builds the Drive orderBy value; sorting is done by the API, so nothing is buffered
+   */
+  getOrderBy(sort = 'name', order = null) {
+    const sortOrder = SORT_ORDERS[sort];
+    if (!sortOrder) {
+      throw new Error(`Unknown sort key: ${sort} (expected ${Object.keys(SORT_ORDERS).join(', ')})`);
+    }
+
+    const direction = order || sortOrder.order;
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new Error(`Unknown sort order: ${order} (expected asc or desc)`);
+    }
+
+    // Ties are broken by name so pages stay stable
+    const orderBy = direction === 'desc' ? `${sortOrder.field} desc` : sortOrder.field;
+    return sortOrder.field === 'name' ? orderBy : `${orderBy},name`;
+  }
+
+  /**
+   * Gets the listFiles options for a listing: only the fields the columns need are requested
+   */
+  getListOptions({ filters = null, query = null, sort, order, columns = DEFAULT_COLUMNS }) {
+    const fields = new Set(['id']);
+    columns.forEach(column => COLUMNS[column].fields.forEach(field => fields.add(field)));
+
+    return {
+      filters,
+      query,
+      orderBy: this.getOrderBy(sort, order),
+      fields: [...fields].join(', ')
+    };
+  }
+
+  /**
+   * Picks the selected columns out of a file, with raw values for export
+   */
+  toRecord(file, columns) {
+    const record = {};
+    columns.forEach(column => {
+      record[column] = COLUMNS[column].value(file);
+    });
+    return record;
+  }
+
+  formatHeader(columns) {
+    return columns.map(column => this.fit(COLUMNS[column].header, COLUMNS[column].width)).join(' ');
+  }
+
+  /**
+   * Formats a file as one fixed-width terminal line
+   */
+  formatLine(file, columns) {
+    return columns.map(column => {
+      const value = COLUMNS[column].value(file);
+      return this.fit(this.formatValue(column, value), COLUMNS[column].width);
+    }).join(' ');
+  }
+
+  formatValue(column, value) {
+    if (value === null || value === undefined || value === '') {
+      return '-';
+    }
+    if (column === 'size') {
+      return FileListingService.formatBytes(value);
+    }
+    if (column === 'modified' || column === 'created') {
+      return value.replace('T', ' ').slice(0, 16);
+    }
+    return String(value);
+  }
+
+  fit(text, width) {
+    return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+  }
+
+  /**
+   * Writes files to a stream as CSV or JSON, one file at a time
+   * Waits for the stream to drain, so memory stays flat however many files there are
+   */
+  async exportFiles(files, { format, columns, output }) {
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Unknown export format: ${format} (expected csv or json)`);
+    }
+
+    const write = async (text) => {
+      if (!output.write(text)) {
+        await once(output, 'drain');
+      }
+    };
+
+    let count = 0;
+    if (format === 'csv') {
+      await write(columns.map(escapeCsv).join(',') + '\n');
+    } else {
+      await write('[');
+    }
+
+    for await (const file of files) {
+      const record = this.toRecord(file, columns);
+      if (format === 'csv') {
+        await write(columns.map(column => escapeCsv(record[column])).join(',') + '\n');
+      } else {
+        await write(`${count > 0 ? ',' : ''}\n  ${JSON.stringify(record)}`);
+      }
+      count++;
+    }
+
+    if (format === 'json') {
+      await write(count > 0 ? '\n]\n' : ']\n');
+    }
+
+    return count;
+  }
+
+  /**
+   * Exports files to a file; a failed export does not leave a truncated file behind
+   */
+  async exportToFile(files, { format, columns, filePath }) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const output = fs.createWriteStream(filePath);
+
+    try {
+      const count = await this.exportFiles(files, { format, columns, output });
+      output.end();
+      await once(output, 'finish');
+      return { path: filePath, count };
+    } catch (error) {
+      output.destroy();
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the default export path, e.g. exports/files-alice@example.com-2024-01-31.csv
+   */
+  getDefaultExportPath(userEmail, format) {
+    const date = new Date().toISOString().split('T')[0];
+    return path.join(config.paths.exports, `files-${userEmail}-${date}.${format}`);
+  }
+
+  static formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = Number(bytes);
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+}
+
+FileListingService.COLUMNS = COLUMNS;
+FileListingService.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+FileListingService.SORT_ORDERS = SORT_ORDERS;
+
+module.exports = FileListingService;
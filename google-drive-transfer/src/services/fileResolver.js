@@ -0,0 +1,113 @@
+// src/services/fileResolver.js
+const DriveService = require('./driveService');
+const ValidationUtils = require('../utils/validation');
+
+// Path segments that carry the ID: /document/d/<id>, /file/d/<id>, /drive/folders/<id>
+// /forms/d/e/<id> is a published form link, whose ID is not the file ID
+const PATH_PATTERNS = [
+  /\/d\/(?!e\/)([a-zA-Z0-9_-]+)/,
+  /\/folders\/([a-zA-Z0-9_-]+)/
+];
+
+// Query parameters that carry the ID: open?id=, uc?id=, and key= on old spreadsheet links
+const QUERY_PARAMETERS = ['id', 'key'];
+
+const TYPE_LABELS = {
+  'application/vnd.google-apps.document': 'Google Doc',
+  'application/vnd.google-apps.spreadsheet': 'Google Sheet',
+  'application/vnd.google-apps.presentation': 'Google Slides',
+  'application/vnd.google-apps.form': 'Google Form',
+  'application/vnd.google-apps.drawing': 'Google Drawing',
+  'application/vnd.google-apps.shortcut': 'Shortcut',
+  [DriveService.FOLDER_MIME_TYPE]: 'Folder'
+};
+
+class FileResolver {
+  constructor(driveService) {
+    this.driveService = driveService;
+  }
+
+  /**
+   * Takes the file or folder ID out of a raw ID or a Docs, Sheets, Slides or Drive link
+   * Returns null when the input is neither
+   */
+  static extractId(input) {
+    const value = typeof input === 'string' ? input.trim() : '';
+
+    if (!/^https?:\/\//i.test(value) && !/^[a-z0-9.-]*google\.com\//i.test(value)) {
+      return ValidationUtils.isValidFileId(value) ? value : null;
+    }
+
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    } catch {
+      return null;
+    }
+
+    if (!/(^|\.)google\.com$/i.test(url.hostname)) {
+      return null;
+    }
+
+    for (const pattern of PATH_PATTERNS) {
+      const match = url.pathname.match(pattern);
+      if (match && ValidationUtils.isValidFileId(match[1])) {
+        return match[1];
+      }
+    }
+
+    for (const name of QUERY_PARAMETERS) {
+      const id = url.searchParams.get(name);
+      if (id && ValidationUtils.isValidFileId(id)) {
+        return id;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets a readable name for a MIME type, e.g. "Google Sheet"
+   */
+  static describeType(mimeType) {
+    return TYPE_LABELS[mimeType] || mimeType || 'Unknown type';
+  }
+
+  /**
+   * Resolves one input to a verified file: the ID must exist and be visible to the account
+   */
+  async resolve(input) {
+    const id = FileResolver.extractId(input);
+    if (!id) {
+      return { input, id: null, found: false, error: 'Not a Drive file ID or link' };
+    }
+
+    try {
+      if (!(await this.driveService.fileExists(id))) {
+        return { input, id, found: false, error: 'File not found or not shared with this account' };
+      }
+
+      const file = await this.driveService.getFileDetails(id);
+      return {
+        input,
+        id,
+        found: true,
+        name: file.name,
+        mimeType: file.mimeType,
+        type: FileResolver.describeType(file.mimeType),
+        isFolder: this.driveService.isFolder(file)
+      };
+    } catch (error) {
+      return { input, id, found: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resolves several inputs; the shared scheduler keeps the lookups within the rate limit
+   */
+  async resolveAll(inputs) {
+    return await Promise.all(inputs.map(input => this.resolve(input)));
+  }
+}
+
+module.exports = FileResolver;
@@ -0,0 +1,158 @@
+// src/services/folderMirror.js
+const DriveService = require('./driveService');
+const DriveQuery = require('../utils/driveQuery');
+const config = require('../../config/config');
+
+/**
+ * Rebuilds the source's folder paths in the new owner's My Drive, under one root folder
+ * Folders are looked up by name before being created, so runs and resumed jobs reuse them
+ */
+class FolderMirror {
+  constructor(sourceDrive, targetDrive, { sourceEmail, targetEmail }) {
+    this.sourceDrive = sourceDrive;
+    this.targetDrive = targetDrive;
+    this.targetEmail = targetEmail;
+    this.rootName = config.transfer.mirrorRootName.replace('{source}', sourceEmail);
+
+    // Both hold promises, so concurrent transfers wait for one lookup instead of creating duplicates
+    this.sourceFolders = new Map(); // source folder ID -> { id, path } in the new owner's Drive
+    this.targetFolders = new Map(); // "<target parent ID>/<name>" -> { id, path }
+    this.sourceRootId = null;
+  }
+
+  /**
+   * Moves a transferred item into the mirrored copy of its source folder
+   * Orphaned items go into one folder under the root; folders are moved with their contents
+   */
+  async place(file) {
+    const parents = file.parents || [];
+    const folder = parents.length > 0
+      ? await this.getTargetFolder(parents[0])
+      : await this.getOrphanFolder();
+
+    // The parent is already the new owner's, e.g. a folder transferred earlier in the same run
+    if (parents.includes(folder.id)) {
+      return { folderId: folder.id, path: folder.path, moved: false };
+    }
+
+    await this.targetDrive.files.update({
+      fileId: file.id,
+      addParents: folder.id,
+      ...(parents.length > 0 && { removeParents: parents.join(',') }),
+      fields: 'id, parents'
+    });
+
+    // Anything later found inside a moved folder is already in place
+    if (file.mimeType === DriveService.FOLDER_MIME_TYPE) {
+      this.sourceFolders.set(file.id, Promise.resolve({ id: file.id, path: `${folder.path}/${file.name}` }));
+    }
+
+    return { folderId: folder.id, path: folder.path, moved: true };
+  }
+
+  getTargetFolder(sourceFolderId) {
+    return this.remember(this.sourceFolders, sourceFolderId, () => this.mirrorFolder(sourceFolderId));
+  }
+
+  /**
+   * Finds or creates the new owner's copy of a source folder, creating its parents first
+   */
+  async mirrorFolder(sourceFolderId) {
+    if (sourceFolderId === await this.getSourceRootId()) {
+      return this.getRoot();
+    }
+
+    let folder;
+    try {
+      const response = await this.sourceDrive.files.get({
+        fileId: sourceFolderId,
+        fields: 'id, name, parents, owners(emailAddress)',
+        supportsAllDrives: true
+      });
+      folder = response.data;
+    } catch (error) {
+      // A folder the source cannot see contributes nothing to the path
+      return this.getRoot();
+    }
+
+    // Folders the new owner already owns are kept where they are
+    if ((folder.owners || []).some(owner => (owner.emailAddress || '').toLowerCase() === this.targetEmail.toLowerCase())) {
+      return { id: folder.id, path: folder.name };
+    }
+
+    const parent = (folder.parents || []).length > 0
+      ? await this.getTargetFolder(folder.parents[0])
+      : await this.getRoot();
+
+    return this.ensureFolder(parent, folder.name);
+  }
+
+  getRoot() {
+    return this.ensureFolder({ id: 'root', path: '' }, this.rootName);
+  }
+
+  async getOrphanFolder() {
+    return this.ensureFolder(await this.getRoot(), config.transfer.orphanFolderName);
+  }
+
+  getSourceRootId() {
+    if (!this.sourceRootId) {
+      this.sourceRootId = this.sourceDrive.files.get({ fileId: 'root', fields: 'id' })
+        .then(response => response.data.id);
+    }
+    return this.sourceRootId;
+  }
+
+  /**
+   * Gets a folder by name in one of the new owner's folders, creating it if there is none
+   */
+  ensureFolder(parent, name) {
+    return this.remember(this.targetFolders, `${parent.id}/${name}`, async () => {
+      const path = parent.path ? `${parent.path}/${name}` : name;
+      const query = new DriveQuery()
+        .nameEquals(name)
+        .inFolder(parent.id)
+        .mimeType('folder')
+        .trashed(false)
+        .build();
+
+      const existing = await this.targetDrive.files.list({ q: query, fields: 'files(id)', pageSize: 1 });
+      if ((existing.data.files || []).length > 0) {
+        return { id: existing.data.files[0].id, path };
+      }
+
+      // The ID is chosen up front: if a create that Drive already carried out is retried,
+      // the retry fails with 409 instead of making a second folder
+      const ids = await this.targetDrive.files.generateIds({ count: 1, space: 'drive' });
+      const id = ids.data.ids[0];
+
+      try {
+        await this.targetDrive.files.create({
+          requestBody: { id, name, mimeType: DriveService.FOLDER_MIME_TYPE, parents: [parent.id] },
+          fields: 'id'
+        });
+      } catch (error) {
+        if (Number((error.response && error.response.status) || error.code) !== 409) {
+          throw error;
+        }
+      }
+      console.log(`📁 Created ${path} in ${this.targetEmail}'s Drive`);
+
+      return { id, path };
+    });
+  }
+
+  /**
+   * Caches a lookup by key; failed lookups are forgotten so the next file tries again
+   */
+  remember(cache, key, lookup) {
+    if (!cache.has(key)) {
+      const promise = lookup();
+      cache.set(key, promise);
+      promise.catch(() => cache.delete(key));
+    }
+    return cache.get(key);
+  }
+}
+
+module.exports = FolderMirror;
@@ -0,0 +1,432 @@
+// src/services/inventoryService.js
+const fs = require('fs').promises;
+const path = require('path');
+const FileResolver = require('./fileResolver');
+const FileListingService = require('./fileListingService');
+const DriveQuery = require('../utils/driveQuery');
+const ValidationUtils = require('../utils/validation');
+const config = require('../../config/config');
+
+// Everything the report needs, fetched in the same pass as the listing
+const SCAN_FIELDS = [
+  'id',
+  'name',
+  'mimeType',
+  'size',
+  'quotaBytesUsed',
+  'modifiedTime',
+  'parents',
+  'trashed',
+  'driveId',
+  'webViewLink',
+  'permissions(type, role, emailAddress, domain)'
+].join(', ');
+
+// Buckets for files that are not inside one of the user's top-level folders
+const MY_DRIVE_BUCKET = { id: 'my-drive', name: 'My Drive (not in a folder)' };
+const OTHERS_BUCKET = { id: 'others', name: 'In folders owned by others' };
+const ORPHAN_BUCKET = { id: 'orphaned', name: 'Orphaned (no parent folder)' };
+
+class InventoryService {
+  constructor(driveService, options = {}) {
+    this.driveService = driveService;
+    this.topCount = options.topCount || 20;
+  }
+
+  /**
+   * Scans every file the user owns, trashed ones included, in a single streaming pass
+   * Only aggregates, bounded top lists and the files needing attention are kept
+   * With a targetEmail the report also says whether ownership can move to that account at all
+   */
+  async buildInventory(userEmail, options = {}) {
+    const { targetEmail = null } = options;
+    const domain = userEmail.split('@').pop().toLowerCase();
+    const rootId = await this.driveService.getRootFolderId();
+    const target = targetEmail ? this.checkTarget(userEmail, targetEmail) : null;
+
+    const summary = { files: 0, folders: 0, bytes: 0, sharedExternally: 0, public: 0, notTransferable: 0, trashed: 0 };
+    const byMimeType = new Map();
+    const folders = new Map();
+    const byParent = new Map();
+    const externallyShared = [];
+    const notTransferable = [];
+    const largest = [];
+    const recentlyModified = [];
+
+    console.log(`🔍 Scanning files owned by ${userEmail}...`);
+
+    const files = this.driveService.iterateFiles({
+      query: new DriveQuery().ownedBy(userEmail).build(),
+      fields: SCAN_FIELDS,
+      orderBy: 'folder,name'
+    });
+
+    for await (const file of files) {
+      const bytes = this.getBytes(file);
+      const isFolder = this.driveService.isFolder(file);
+
+      if (isFolder) {
+        summary.folders++;
+        folders.set(file.id, { name: file.name, parent: (file.parents || [])[0] || null });
+      } else {
+        summary.files++;
+        summary.bytes += bytes;
+      }
+
+      const type = byMimeType.get(file.mimeType) || { count: 0, bytes: 0 };
+      type.count++;
+      type.bytes += bytes;
+      byMimeType.set(file.mimeType, type);
+
+      // Counted by direct parent now; parents are mapped to their top-level folder after the scan
+      const parentKey = (file.parents || [])[0] || null;
+      const parent = byParent.get(parentKey) || { files: 0, folders: 0, bytes: 0 };
+      if (isFolder) {
+        parent.folders++;
+      } else {
+        parent.files++;
+        parent.bytes += bytes;
+      }
+      byParent.set(parentKey, parent);
+
+      const entry = {
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType,
+        bytes,
+        modifiedTime: file.modifiedTime || null,
+        webViewLink: file.webViewLink || null
+      };
+
+      const sharing = this.getExternalSharing(file, domain);
+      if (sharing) {
+        externallyShared.push({ ...entry, ...sharing });
+        summary.sharedExternally++;
+        if (sharing.public) {
+          summary.public++;
+        }
+      }
+
+      const reasons = this.getTransferBlockers(file);
+      if (reasons.length > 0) {
+        notTransferable.push({ ...entry, reasons });
+        summary.notTransferable++;
+      }
+
+      if (file.trashed) {
+        summary.trashed++;
+      }
+
+      if (!isFolder) {
+        this.keepTop(largest, entry, (a, b) => b.bytes - a.bytes);
+        this.keepTop(recentlyModified, entry, (a, b) => (b.modifiedTime || '').localeCompare(a.modifiedTime || ''));
+      }
+
+      if ((summary.files + summary.folders) % 1000 === 0) {
+        console.log(`   Scanned ${summary.files + summary.folders} items...`);
+      }
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      user: userEmail,
+      domain,
+      target,
+      summary,
+      byMimeType: [...byMimeType.entries()]
+        .map(([mimeType, totals]) => ({ mimeType, type: FileResolver.describeType(mimeType), ...totals }))
+        .sort((a, b) => b.bytes - a.bytes || b.count - a.count),
+      topLevelFolders: this.groupByTopLevelFolder(byParent, folders, rootId),
+      externallyShared,
+      notTransferable,
+      largest,
+      recentlyModified
+    };
+  }
+
+  /**
+   * Google Docs, Sheets and Slides have no size; their storage use is in quotaBytesUsed
+   */
+  getBytes(file) {
+    const bytes = file.size !== undefined ? file.size : file.quotaBytesUsed;
+    return bytes !== undefined ? Number(bytes) || 0 : 0;
+  }
+
+  /**
+   * Finds who outside the user's domain can open a file: anyone with the link,
+   * other domains, or users and groups from other domains
+   */
+  getExternalSharing(file, domain) {
+    const permissions = file.permissions || [];
+    const anyone = permissions.find(permission => permission.type === 'anyone');
+    const externalDomains = permissions
+      .filter(permission => permission.type === 'domain' && (permission.domain || '').toLowerCase() !== domain)
+      .map(permission => permission.domain);
+    const externalUsers = permissions
+      .filter(permission => ['user', 'group'].includes(permission.type) && permission.emailAddress)
+      .filter(permission => permission.emailAddress.split('@').pop().toLowerCase() !== domain)
+      .map(permission => permission.emailAddress);
+
+    if (!anyone && externalDomains.length === 0 && externalUsers.length === 0) {
+      return null;
+    }
+
+    return {
+      public: Boolean(anyone),
+      publicRole: anyone ? anyone.role : null,
+      externalDomains,
+      externalUsers
+    };
+  }
+
+  /**
+   * Lists why a transfer of this file would fail, whoever the new owner is
+   */
+  getTransferBlockers(file) {
+    const reasons = [];
+
+    if (file.trashed) {
+      reasons.push('In the trash: restore or delete it before the transfer');
+    }
+    if (file.driveId) {
+      reasons.push('In a shared drive: the shared drive owns it, so there is no owner to change');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Works out whether ownership can move from the user to the target account at all
+   * Drive only transfers ownership within one organization; between personal accounts
+   * the new owner has to accept each item (the pending-owner path)
+   */
+  checkTarget(userEmail, targetEmail) {
+    const domain = userEmail.split('@').pop().toLowerCase();
+    const targetDomain = targetEmail.split('@').pop().toLowerCase();
+    const result = { email: targetEmail, problem: null, pendingOwner: false };
+
+    if (ValidationUtils.isConsumerAccount(targetEmail)) {
+      if (ValidationUtils.isConsumerAccount(userEmail)) {
+        result.pendingOwner = true;
+      } else {
+        result.problem = `${targetEmail} is a personal Google account; files owned in ${domain} cannot be given to it`;
+      }
+    } else if (targetDomain !== domain) {
+      result.problem = `${targetEmail} is outside ${domain}; ownership cannot move to another organization`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Describes the target check in one line, for the terminal summary and the HTML report
+   */
+  describeTarget(target) {
+    if (target.problem) {
+      return `Nothing can be transferred: ${target.problem}`;
+    }
+    if (target.pendingOwner) {
+      return `${target.email} is a personal account: each item waits until they accept ownership`;
+    }
+    return `${target.email} can be made owner directly`;
+  }
+
+  /**
+   * Keeps the first topCount items of a list in order, without holding the rest
+   */
+  keepTop(list, entry, compare) {
+    if (list.length === this.topCount && compare(entry, list[list.length - 1]) >= 0) {
+      return;
+    }
+
+    const index = list.findIndex(item => compare(entry, item) < 0);
+    list.splice(index === -1 ? list.length : index, 0, entry);
+    if (list.length > this.topCount) {
+      list.pop();
+    }
+  }
+
+  /**
+   * Rolls the per-parent counts up to the folder that sits directly in My Drive
+   */
+  groupByTopLevelFolder(byParent, folders, rootId) {
+    const groups = new Map();
+
+    const findTopLevel = (parentId) => {
+      if (parentId === null) return ORPHAN_BUCKET;
+      if (parentId === rootId) return MY_DRIVE_BUCKET;
+
+      let id = parentId;
+      const seen = new Set();
+      while (folders.has(id) && !seen.has(id)) {
+        seen.add(id);
+        const folder = folders.get(id);
+        if (folder.parent === rootId) {
+          return { id, name: folder.name };
+        }
+        if (folder.parent === null) {
+          return ORPHAN_BUCKET;
+        }
+        id = folder.parent;
+      }
+
+      return OTHERS_BUCKET;
+    };
+
+    byParent.forEach((totals, parentId) => {
+      const topLevel = findTopLevel(parentId);
+      const group = groups.get(topLevel.id) || { id: topLevel.id, name: topLevel.name, files: 0, folders: 0, bytes: 0 };
+      group.files += totals.files;
+      group.folders += totals.folders;
+      group.bytes += totals.bytes;
+      groups.set(topLevel.id, group);
+    });
+
+    return [...groups.values()].sort((a, b) => b.bytes - a.bytes || b.files - a.files);
+  }
+
+  /**
+   * Prints the headline numbers and the first few entries of each section
+   */
+  printSummary(report, limit = 10) {
+    const size = bytes => FileListingService.formatBytes(bytes);
+    const { summary } = report;
+
+    console.log(`\n📦 Inventory for ${report.user}`);
+    console.log(`   Files: ${summary.files} (${size(summary.bytes)}), folders: ${summary.folders}`);
+    console.log(`   Shared outside ${report.domain}: ${summary.sharedExternally} (public: ${summary.public})`);
+    console.log(`   Cannot be transferred: ${summary.notTransferable}`);
+    if (report.target) {
+      console.log(`   ${this.describeTarget(report.target)}`);
+    }
+
+    console.log('\n📊 By type:');
+    report.byMimeType.slice(0, limit).forEach(type => {
+      console.log(`   ${type.type}: ${type.count} (${size(type.bytes)})`);
+    });
+
+    console.log('\n📁 By top-level folder:');
+    report.topLevelFolders.slice(0, limit).forEach(folder => {
+      console.log(`   ${folder.name}: ${folder.files} files, ${folder.folders} folders (${size(folder.bytes)})`);
+    });
+
+    if (report.externallyShared.length > 0) {
+      console.log('\n🌍 Shared externally:');
+      report.externallyShared.slice(0, limit).forEach(file => {
+        const audience = [
+          file.public && `anyone with the link (${file.publicRole})`,
+          ...file.externalDomains,
+          ...file.externalUsers
+        ].filter(Boolean);
+        console.log(`   ${file.name}: ${audience.join(', ')}`);
+      });
+    }
+
+    if (report.notTransferable.length > 0) {
+      console.log('\n⛔ Cannot be transferred:');
+      report.notTransferable.slice(0, limit).forEach(file => {
+        console.log(`   ${file.name}: ${file.reasons.join('; ')}`);
+      });
+    }
+
+    console.log('\n🐘 Largest files:');
+    report.largest.slice(0, limit).forEach(file => console.log(`   ${file.name} (${size(file.bytes)})`));
+
+    console.log('\n🕒 Most recently modified:');
+    report.recentlyModified.slice(0, limit).forEach(file => {
+      console.log(`   ${file.name} (${(file.modifiedTime || '').split('T')[0]})`);
+    });
+  }
+
+  /**
+   * Renders the report as a standalone HTML page
+   */
+  toHtml(report) {
+    const escape = value => String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+    const size = bytes => escape(FileListingService.formatBytes(bytes));
+    const link = file => (file.webViewLink && /^https:\/\//.test(file.webViewLink)
+      ? `<a href="${escape(file.webViewLink)}">${escape(file.name)}</a>`
+      : escape(file.name));
+    const table = (headers, rows) => rows.length === 0
+      ? '<p>None.</p>'
+      : `<table><tr>${headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr>` +
+        rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('') +
+        '</table>';
+    const { summary } = report;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Drive inventory: ${escape(report.user)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+<h1>Drive inventory: ${escape(report.user)}</h1>
+<p>Generated ${escape(report.generatedAt)}</p>
+${table(['Files', 'Size', 'Folders', 'Shared externally', 'Public', 'Cannot be transferred', 'In the trash'], [[
+  summary.files, size(summary.bytes), summary.folders, summary.sharedExternally, summary.public,
+  summary.notTransferable, summary.trashed
+]])}
+<h2>By type</h2>
+${table(['Type', 'MIME type', 'Count', 'Size'], report.byMimeType.map(type => [
+  escape(type.type), escape(type.mimeType), type.count, size(type.bytes)
+]))}
+<h2>By top-level folder</h2>
+${table(['Folder', 'Files', 'Folders', 'Size'], report.topLevelFolders.map(folder => [
+  escape(folder.name), folder.files, folder.folders, size(folder.bytes)
+]))}
+<h2>Shared externally or publicly</h2>
+${table(['File', 'Anyone with the link', 'Domains', 'Users and groups'], report.externallyShared.map(file => [
+  link(file), file.public ? escape(file.publicRole) : '', escape(file.externalDomains.join(', ')),
+  escape(file.externalUsers.join(', '))
+]))}
+<h2>Cannot be transferred</h2>
+${report.target ? `<p>${escape(this.describeTarget(report.target))}</p>\n` : ''}${table(['File', 'Type', 'Reasons'], report.notTransferable.map(file => [
+  link(file), escape(FileResolver.describeType(file.mimeType)), escape(file.reasons.join('; '))
+]))}
+<h2>Largest files</h2>
+${table(['File', 'Type', 'Size'], report.largest.map(file => [
+  link(file), escape(FileResolver.describeType(file.mimeType)), size(file.bytes)
+]))}
+<h2>Most recently modified</h2>
+${table(['File', 'Type', 'Modified'], report.recentlyModified.map(file => [
+  link(file), escape(FileResolver.describeType(file.mimeType)), escape(file.modifiedTime)
+]))}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Writes the report as HTML or JSON
+   */
+  async exportReport(report, format, filePath) {
+    const content = format === 'html' ? this.toHtml(report) : JSON.stringify(report, null, 2);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+
+    return filePath;
+  }
+
+  /**
+   * Gets the default report path, e.g. exports/inventory-alice@example.com-2024-01-31.html
+   */
+  getDefaultReportPath(userEmail, format) {
+    const date = new Date().toISOString().split('T')[0];
+    return path.join(config.paths.exports, `inventory-${userEmail}-${date}.${format}`);
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,91 @@
+// src/services/jobManager.js
+const crypto = require('crypto');
+
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Generates a unique job ID
+   */
+  generateJobId() {
+    return `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Creates a job and starts it in the background
+   * The runner receives the job record and may push per-file results onto job.results as it goes
+   */
+  createJob(type, input, runner) {
+    const job = {
+      id: this.generateJobId(),
+      type,
+      status: 'queued',
+      input,
+      results: [],
+      summary: null,
+      operationId: null, // Set by the runner once the audited operation starts
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+
+    // Run after the current request has been answered
+    setImmediate(() => this.runJob(job, runner));
+
+    return job;
+  }
+
+  /**
+   * Runs a job and records its outcome
+   * Runner errors mark the job as failed instead of escaping
+   */
+  async runJob(job, runner) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const summary = await runner(job);
+      job.summary = summary || this.summarize(job.results);
+      job.status = 'completed';
+    } catch (error) {
+      job.error = error.message;
+      job.summary = this.summarize(job.results);
+      job.status = 'failed';
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Counts successes and failures in a job's results
+   */
+  summarize(results) {
+    const successful = results.filter(r => r.success).length;
+    return {
+      successful,
+      failed: results.length - successful,
+      total: results.length
+    };
+  }
+
+  /**
+   * Gets a job by ID
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Lists all jobs, newest first
+   */
+  listJobs() {
+    return Array.from(this.jobs.values()).reverse();
+  }
+}
+
+module.exports = JobManager;
\ No newline at end of file
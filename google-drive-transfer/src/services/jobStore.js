@@ -0,0 +1,206 @@
+// src/services/jobStore.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/config');
+
+const UNFINISHED_STATUSES = ['running', 'stopped'];
+
+class JobStore {
+  constructor(jobsDir = config.paths.jobs) {
+    this.jobsDir = jobsDir;
+    // Concurrent transfers checkpoint the same job, so writes are queued
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Gets the path of a job's checkpoint file
+   */
+  getJobPath(jobId) {
+    return path.join(this.jobsDir, `${jobId}.json`);
+  }
+
+  /**
+   * Creates and saves a new batch job record
+   * Every file starts as pending; the record is checkpointed as files complete
+   */
+  async createJob({ type = 'batch', source, target, fileIds, options = {} }) {
+    const now = new Date().toISOString();
+    const files = {};
+
+    fileIds.forEach(fileId => {
+      files[fileId] = { state: 'pending', attempts: 0, updatedAt: now, result: null };
+    });
+
+    const job = {
+      id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      type,
+      status: 'running',
+      pid: process.pid,
+      source,
+      target,
+      input: { fileIds, options },
+      files,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Writes a job record atomically, so a crash mid-write never leaves a corrupt checkpoint
+   */
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+
+    const write = this.writeQueue.then(() => this.writeJob(job));
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Writes one job record through a temp file and a rename
+   */
+  async writeJob(job) {
+    const jobPath = this.getJobPath(job.id);
+    const tempPath = `${jobPath}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(this.jobsDir, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+      await fs.rename(tempPath, jobPath);
+    } catch (error) {
+      throw new Error(`Cannot save job ${job.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads a job record by ID
+   */
+  async load(jobId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getJobPath(jobId), 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load job ${jobId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records the outcome of one file and checkpoints the job
+   */
+  async recordResult(job, result) {
+    const entry = job.files[result.fileId];
+    if (!entry) {
+      return;
+    }
+
+    entry.state = result.success ? 'done' : 'failed';
+    entry.attempts += 1;
+    entry.updatedAt = new Date().toISOString();
+    entry.result = result;
+
+    await this.save(job);
+  }
+
+  /**
+   * Marks a job as claimed by the current process before it is (re)started
+   */
+  async markRunning(job) {
+    job.status = 'running';
+    job.pid = process.pid;
+    job.finishedAt = null;
+    await this.save(job);
+  }
+
+  /**
+   * Marks a job as finished: completed when every file was attempted, stopped otherwise
+   */
+  async markFinished(job) {
+    const attempted = Object.values(job.files).every(entry => entry.state !== 'pending');
+
+    job.status = attempted ? 'completed' : 'stopped';
+    job.finishedAt = attempted ? new Date().toISOString() : null;
+
+    await this.save(job);
+  }
+
+  /**
+   * Lists the file IDs that still need work: pending ones and ones that failed last time
+   */
+  getRemainingFileIds(job) {
+    return job.input.fileIds.filter(fileId => job.files[fileId].state !== 'done');
+  }
+
+  /**
+   * Summarizes a job across all its runs
+   */
+  summarize(job) {
+    const entries = Object.values(job.files);
+    const count = state => entries.filter(entry => entry.state === state).length;
+
+    return {
+      successful: count('done'),
+      failed: count('failed'),
+      pending: count('pending'),
+      total: entries.length
+    };
+  }
+
+  /**
+   * Lists all job records, newest first
+   */
+  async listJobs() {
+    let files;
+
+    try {
+      files = await fs.readdir(this.jobsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const jobs = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        jobs.push(JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf8')));
+      } catch {
+        // Skip unreadable records rather than hiding every other job
+      }
+    }
+
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Lists jobs that did not finish and are not being worked on by another live process
+   */
+  async listUnfinishedJobs() {
+    const jobs = await this.listJobs();
+
+    return jobs.filter(job => {
+      if (!UNFINISHED_STATUSES.includes(job.status)) {
+        return false;
+      }
+      return job.status === 'stopped' || job.pid === process.pid || !this.isProcessAlive(job.pid);
+    });
+  }
+
+  /**
+   * Checks whether the process that owns a running job is still alive
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+}
+
+module.exports = JobStore;
\ No newline at end of file
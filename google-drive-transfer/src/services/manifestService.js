@@ -0,0 +1,317 @@
+// src/services/manifestService.js
+const fs = require('fs').promises;
+const path = require('path');
+const FileResolver = require('./fileResolver');
+const ValidationUtils = require('../utils/validation');
+const { parseCsv, formatCsv } = require('../utils/csv');
+
+// Accepted column names, compared lowercase with spaces, dashes and underscores removed
+const FILE_COLUMNS = ['fileid', 'file', 'id', 'url', 'fileurl', 'link'];
+const TARGET_COLUMNS = ['targetemail', 'target', 'newowner', 'newowneremail'];
+const NOTIFY_COLUMNS = ['notify', 'sendnotificationemail', 'sendnotification'];
+
+// Columns appended to the results copy of the manifest
+const RESULT_COLUMNS = ['status', 'error', 'processed_at', 'operation_id'];
+
+class ManifestService {
+  /**
+   * Reads a CSV or JSON manifest; the format is taken from the file extension
+   * Every row keeps its original values so the results copy matches the input
+   */
+  async loadManifest(filePath) {
+    let text;
+
+    try {
+      text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read manifest ${filePath}: ${error.message}`);
+    }
+
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    const { columns, records, lines } = format === 'json'
+      ? this.parseJson(text, filePath)
+      : this.parseCsvText(text, filePath);
+
+    const find = names => columns.find(column => names.includes(this.normalizeColumn(column)));
+    const fileColumn = find(FILE_COLUMNS);
+    const targetColumn = find(TARGET_COLUMNS);
+    const notifyColumn = find(NOTIFY_COLUMNS);
+
+    if (!fileColumn || !targetColumn) {
+      throw new Error(
+        `${filePath} needs a file ID or URL column (${FILE_COLUMNS.join(', ')}) ` +
+        `and a target email column (${TARGET_COLUMNS.join(', ')})`
+      );
+    }
+
+    const rows = records.map((record, index) => {
+      const fileRef = String(record[fileColumn] || '').trim();
+
+      return {
+        // Row numbers match the CSV file's lines, blank ones included; JSON entries count from 1
+        rowNumber: lines ? lines[index] : index + 1,
+        record,
+        fileRef,
+        fileId: this.extractFileId(fileRef),
+        targetEmail: String(record[targetColumn] || '').trim(),
+        notify: notifyColumn ? record[notifyColumn] : undefined,
+        options: {},
+        result: null
+      };
+    });
+
+    return { path: filePath, format, columns, rows };
+  }
+
+  parseCsvText(text, filePath) {
+    let table;
+
+    try {
+      table = parseCsv(text);
+    } catch (error) {
+      throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+    }
+
+    if (table.length === 0) {
+      throw new Error(`${filePath} is empty`);
+    }
+
+    const [header, ...body] = table;
+    const columns = header.cells.map(column => column.trim());
+    const records = body.map(({ cells }) => {
+      const record = {};
+      columns.forEach((column, i) => {
+        record[column] = cells[i] !== undefined ? cells[i] : '';
+      });
+      return record;
+    });
+
+    return { columns, records, lines: body.map(row => row.line) };
+  }
+
+  /**
+   * A JSON manifest is an array of objects, or an object with a "files" array
+   */
+  parseJson(text, filePath) {
+    let data;
+
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+    }
+
+    const records = Array.isArray(data) ? data : data && data.files;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new Error(`${filePath} must contain an array of objects`);
+    }
+
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { columns, records };
+  }
+
+  normalizeColumn(column) {
+    return column.toLowerCase().replace(/[\s_-]/g, '');
+  }
+
+  /**
+   * Takes the file ID out of a Drive URL; anything unrecognised stays as-is so validation reports it
+   */
+  extractFileId(value) {
+    return FileResolver.extractId(value) || value;
+  }
+
+  /**
+   * Parses a yes/no option cell; empty means "use the default"
+   */
+  parseBoolean(value) {
+    if (value === undefined || value === null || value === '') {
+      return { valid: true, value: undefined };
+    }
+    if (typeof value === 'boolean') {
+      return { valid: true, value };
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return { valid: true, value: true };
+    if (['false', 'no', 'n', '0'].includes(text)) return { valid: true, value: false };
+    return { valid: false };
+  }
+
+  /**
+   * Validates every row before anything runs
+   * Returns the problems per row; the manifest may only run when there are none
+   */
+  validateManifest(manifest, sourceEmail) {
+    const problems = [];
+    const seen = new Map();
+
+    if (manifest.rows.length === 0) {
+      problems.push({ rowNumber: null, errors: ['The manifest has no rows'] });
+    }
+
+    manifest.rows.forEach(row => {
+      const errors = [...ValidationUtils.validateTransferParams(sourceEmail, row.targetEmail, [row.fileId]).errors];
+
+      if (!row.fileRef) {
+        errors.push('Missing file ID or URL');
+      }
+
+      const notify = this.parseBoolean(row.notify);
+      if (notify.valid) {
+        if (notify.value !== undefined) {
+          row.options.sendNotificationEmail = notify.value;
+        }
+      } else {
+        errors.push(`Invalid notify value "${row.notify}" (expected yes or no)`);
+      }
+
+      // A file can only end up with one owner
+      if (row.fileId && seen.has(row.fileId)) {
+        errors.push(`File ${row.fileId} is already listed on row ${seen.get(row.fileId)}`);
+      } else if (row.fileId) {
+        seen.set(row.fileId, row.rowNumber);
+      }
+
+      if (errors.length > 0) {
+        problems.push({ rowNumber: row.rowNumber, errors });
+      }
+    });
+
+    return { valid: problems.length === 0, problems };
+  }
+
+  /**
+   * Groups rows by target owner, in the order targets first appear
+   */
+  groupByTarget(manifest) {
+    const groups = new Map();
+
+    manifest.rows.forEach(row => {
+      const key = row.targetEmail.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, { targetEmail: row.targetEmail, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Transfers one target's rows and stores each outcome on its row
+   * Rows with different options run as separate batches
+   */
+  async runGroup(group, transferService, options = {}) {
+    const batches = new Map();
+
+    group.rows.forEach(row => {
+      const key = JSON.stringify(row.options);
+      if (!batches.has(key)) {
+        batches.set(key, []);
+      }
+      batches.get(key).push(row);
+    });
+
+    for (const rows of batches.values()) {
+      const byFileId = new Map(rows.map(row => [row.fileId, row]));
+
+      await transferService.batchTransferOwnership(rows.map(row => row.fileId), group.targetEmail, {
+        ...options,
+        ...rows[0].options,
+        onResult: async (result) => {
+          const row = byFileId.get(result.fileId);
+          if (row) {
+            row.result = {
+              status: !result.success ? 'failed' : result.message === 'Already owner' ? 'already_owner' : 'transferred',
+              error: result.error || null,
+              processedAt: new Date().toISOString(),
+              operationId: options.operationId || null,
+              ...(result.accessChanges && { accessChanges: result.accessChanges })
+            };
+          }
+          if (options.onResult) await options.onResult(result);
+        }
+      });
+    }
+
+    return group.rows;
+  }
+
+  /**
+   * Marks every row of a group as not run, e.g. when its target could not be authenticated
+   */
+  skipGroup(group, reason) {
+    group.rows.forEach(row => {
+      row.result = { status: 'skipped', error: reason, processedAt: new Date().toISOString(), operationId: null };
+    });
+  }
+
+  /**
+   * Counts row outcomes
+   */
+  summarize(manifest) {
+    const count = status => manifest.rows.filter(row => row.result && row.result.status === status).length;
+
+    return {
+      transferred: count('transferred'),
+      alreadyOwner: count('already_owner'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      notRun: manifest.rows.filter(row => !row.result).length,
+      total: manifest.rows.length
+    };
+  }
+
+  /**
+   * Gets the default path of the results copy: next to the manifest, with ".results" added
+   */
+  getResultsPath(manifest) {
+    const extension = path.extname(manifest.path);
+    return path.join(
+      path.dirname(manifest.path),
+      `${path.basename(manifest.path, extension)}.results${extension || '.csv'}`
+    );
+  }
+
+  /**
+   * Writes a copy of the manifest with the result columns added to every row
+   */
+  async writeResults(manifest, filePath = null) {
+    const resultsPath = filePath || this.getResultsPath(manifest);
+    const resultValues = row => {
+      const result = row.result || { status: 'not_run' };
+      return [result.status, result.error || '', result.processedAt || '', result.operationId || ''];
+    };
+
+    let content;
+    if (manifest.format === 'json') {
+      content = JSON.stringify(manifest.rows.map(row => {
+        const result = row.result || { status: 'not_run' };
+        return {
+          ...row.record,
+          status: result.status,
+          error: result.error || null,
+          processedAt: result.processedAt || null,
+          operationId: result.operationId || null,
+          ...(result.accessChanges && { accessChanges: result.accessChanges })
+        };
+      }), null, 2);
+    } else {
+      const header = [...manifest.columns, ...RESULT_COLUMNS];
+      content = formatCsv([
+        header,
+        ...manifest.rows.map(row => [...manifest.columns.map(column => row.record[column]), ...resultValues(row)])
+      ]);
+    }
+
+    try {
+      await fs.writeFile(resultsPath, content);
+      return resultsPath;
+    } catch (error) {
+      throw new Error(`Cannot write results to ${resultsPath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ManifestService;
@@ -0,0 +1,188 @@
+// src/services/offboardingService.js
+const DriveQuery = require('../utils/driveQuery');
+
+// Only what ordering and the reconciliation need
+const DISCOVERY_FIELDS = 'id, name, mimeType, parents, trashed';
+
+class OffboardingService {
+  constructor(transferService) {
+    this.transferService = transferService;
+    this.driveService = transferService.sourceDriveService;
+  }
+
+  /**
+   * Lists everything the source owns, trashed items included
+   */
+  iterateOwnedFiles(sourceEmail) {
+    return this.driveService.iterateFiles({
+      query: new DriveQuery().ownedBy(sourceEmail).build(),
+      fields: DISCOVERY_FIELDS,
+      orderBy: 'folder,name'
+    });
+  }
+
+  /**
+   * Finds every item the source owns and sorts it into transfer order:
+   * folders (parents before their subfolders), then files in folders, loose files and orphans
+   * Trashed items cannot be transferred, so they are set aside for the reconciliation
+   */
+  async discover(sourceEmail) {
+    const rootId = await this.driveService.getRootFolderId();
+    const items = [];
+
+    console.log(`🔍 Finding everything ${sourceEmail} owns...`);
+
+    for await (const file of this.iterateOwnedFiles(sourceEmail)) {
+      items.push({
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType,
+        parent: (file.parents || [])[0] || null,
+        trashed: Boolean(file.trashed)
+      });
+
+      if (items.length % 1000 === 0) {
+        console.log(`   Found ${items.length} items...`);
+      }
+    }
+
+    const folderParents = new Map(items
+      .filter(item => !item.trashed && this.driveService.isFolder(item))
+      .map(item => [item.id, item.parent]));
+
+    // Depth among the source's own folders; a folder inside someone else's folder starts at 0
+    const getDepth = (folderId) => {
+      const seen = new Set([folderId]);
+      let depth = 0;
+      let parent = folderParents.get(folderId);
+
+      while (folderParents.has(parent) && !seen.has(parent)) {
+        seen.add(parent);
+        depth++;
+        parent = folderParents.get(parent);
+      }
+
+      return depth;
+    };
+
+    const discovery = {
+      source: sourceEmail,
+      folders: [],
+      filesInFolders: [],
+      looseFiles: [],
+      orphans: [],
+      trashed: []
+    };
+
+    items.forEach(item => {
+      if (item.trashed) {
+        discovery.trashed.push(item);
+      } else if (this.driveService.isFolder(item)) {
+        discovery.folders.push({ ...item, depth: getDepth(item.id) });
+      } else if (!item.parent) {
+        discovery.orphans.push(item);
+      } else if (item.parent === rootId) {
+        discovery.looseFiles.push(item);
+      } else {
+        discovery.filesInFolders.push(item);
+      }
+    });
+
+    discovery.folders.sort((a, b) => a.depth - b.depth);
+    discovery.total = discovery.folders.length + discovery.filesInFolders.length +
+      discovery.looseFiles.length + discovery.orphans.length;
+
+    return discovery;
+  }
+
+  /**
+   * Transfers a discovered account with batchTransferOwnership
+   * Each folder level finishes before the next starts, and all folders before any file
+   */
+  async run(discovery, targetEmail, options = {}) {
+    const { onResult = null } = options;
+    const phases = [];
+
+    const depths = [...new Set(discovery.folders.map(folder => folder.depth))];
+    depths.forEach(depth => {
+      phases.push({
+        name: `Folders, level ${depth + 1}`,
+        items: discovery.folders.filter(folder => folder.depth === depth)
+      });
+    });
+    phases.push(
+      { name: 'Files in folders', items: discovery.filesInFolders },
+      { name: 'Loose files', items: discovery.looseFiles },
+      { name: 'Orphaned files', items: discovery.orphans }
+    );
+
+    const results = [];
+    let done = 0;
+
+    for (const phase of phases.filter(p => p.items.length > 0)) {
+      console.log(`\n🚚 ${phase.name}: ${phase.items.length} items`);
+
+      const batch = await this.transferService.batchTransferOwnership(phase.items.map(item => item.id), targetEmail, {
+        ...options,
+        continueOnError: true,
+        onResult: async (result) => {
+          done++;
+          if (done % 25 === 0 || done === discovery.total) {
+            console.log(`📈 Offboarding progress: ${done}/${discovery.total} (${Math.round(done / discovery.total * 100)}%)`);
+          }
+          if (onResult) await onResult(result);
+        }
+      });
+
+      results.push(...batch.results);
+    }
+
+    return {
+      results,
+      summary: {
+        successful: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success).length,
+        total: discovery.total
+      }
+    };
+  }
+
+  /**
+   * Lists what the source still owns after the run, with the reason for each item
+   */
+  async reconcile(discovery, runResult) {
+    const errors = new Map(runResult.results.filter(r => !r.success).map(r => [r.fileId, r.error]));
+    const attempted = new Set(runResult.results.map(r => r.fileId));
+    const discovered = new Set([
+      ...discovery.folders,
+      ...discovery.filesInFolders,
+      ...discovery.looseFiles,
+      ...discovery.orphans
+    ].map(item => item.id));
+    const remaining = [];
+
+    console.log(`\n🔎 Checking what ${discovery.source} still owns...`);
+
+    for await (const file of this.iterateOwnedFiles(discovery.source)) {
+      let reason;
+
+      if (file.trashed) {
+        reason = 'In the trash: restore or delete it, then run the offboarding again';
+      } else if (errors.has(file.id)) {
+        reason = `Transfer failed: ${errors.get(file.id)}`;
+      } else if (!discovered.has(file.id)) {
+        reason = 'Created after the offboarding started';
+      } else if (!attempted.has(file.id)) {
+        reason = 'Not attempted: the run stopped before reaching it';
+      } else {
+        reason = 'Transfer reported success, but the source still owns it';
+      }
+
+      remaining.push({ id: file.id, name: file.name, mimeType: file.mimeType, reason });
+    }
+
+    return remaining;
+  }
+}
+
+module.exports = OffboardingService;
@@ -0,0 +1,327 @@
+// src/services/planService.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AccessPolicy = require('./accessPolicy');
+const config = require('../../config/config');
+
+const PLAN_VERSION = 1;
+
+class PlanService {
+  constructor(transferService) {
+    this.transferService = transferService;
+  }
+
+  /**
+   * Builds a dry-run plan: resolves every file, records its current owners and permissions,
+   * and lists the permission changes a transfer would make. Nothing is modified.
+   * The access policy is stored in the plan, so executing it changes only what was reviewed
+   */
+  async createPlan(fileIds, sourceEmail, targetEmail, options = {}) {
+    const { sendNotificationEmail = false } = options;
+    const policy = AccessPolicy.fromOptions(options.accessPolicy);
+    const files = [];
+
+    console.log(`📝 Planning transfer of ${fileIds.length} files to ${targetEmail}`);
+
+    for (const fileId of fileIds) {
+      files.push(await this.planFile(fileId, sourceEmail, targetEmail, policy));
+    }
+
+    const plan = {
+      version: PLAN_VERSION,
+      id: `plan_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+      createdBy: os.userInfo().username,
+      source: sourceEmail,
+      target: targetEmail,
+      options: { sendNotificationEmail, accessPolicy: policy && { ...policy } },
+      files,
+      summary: this.summarizePlan(files)
+    };
+
+    return plan;
+  }
+
+  /**
+   * Plans a single file
+   * Files that cannot be transferred are kept in the plan as blocked, with the reason
+   */
+  async planFile(fileId, sourceEmail, targetEmail, policy = null) {
+    const entry = {
+      fileId,
+      fileName: null,
+      mimeType: null,
+      owners: [],
+      permissions: [],
+      actions: [],
+      status: 'ready',
+      reason: null
+    };
+
+    try {
+      const fileDetails = await this.transferService.getFileDetails(fileId);
+      const permissions = await this.transferService.getFilePermissions(fileId);
+
+      entry.fileName = fileDetails.name;
+      entry.mimeType = fileDetails.mimeType;
+      entry.owners = (fileDetails.owners || []).map(owner => owner.emailAddress);
+      entry.permissions = permissions.map(perm => ({
+        id: perm.id,
+        role: perm.role,
+        type: perm.type,
+        emailAddress: perm.emailAddress || null,
+        domain: perm.domain || null
+      }));
+
+      // Drive returns addresses lowercased; the ones typed in may not be
+      const target = targetEmail.toLowerCase();
+      const owners = entry.owners.map(owner => owner.toLowerCase());
+      const targetPermission = permissions.find(perm => (perm.emailAddress || '').toLowerCase() === target);
+
+      if (owners.includes(target)) {
+        entry.status = 'skip';
+        entry.reason = `${targetEmail} already owns this file`;
+        return entry;
+      }
+
+      if (!owners.includes(sourceEmail.toLowerCase())) {
+        entry.status = 'blocked';
+        entry.reason = `${sourceEmail} does not own this file (owners: ${entry.owners.join(', ') || 'unknown'})`;
+        return entry;
+      }
+
+      // These mirror the steps transferFileOwnership takes
+      if (!targetPermission) {
+        entry.actions.push({ action: 'add_permission', emailAddress: targetEmail, role: 'writer' });
+      }
+      entry.actions.push({
+        action: 'promote_to_owner',
+        emailAddress: targetEmail,
+        fromRole: targetPermission ? targetPermission.role : 'writer'
+      });
+      entry.actions.push(...this.planAccessActions(entry, sourceEmail, target, policy));
+
+    } catch (error) {
+      entry.status = 'blocked';
+      entry.reason = error.message;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Lists what happens to the previous owner and other collaborators once ownership has moved
+   * The policy is planned against the permissions as the transfer will leave them,
+   * the same way TransferService.applyAccessPolicy works them out after the transfer
+   */
+  planAccessActions(entry, sourceEmail, target, policy) {
+    const previousOwners = entry.owners.map(owner => owner.toLowerCase());
+    const afterTransfer = entry.permissions.map(perm => {
+      const email = (perm.emailAddress || '').toLowerCase();
+      if (email === target) return { ...perm, role: 'owner' };
+      if (previousOwners.includes(email)) return { ...perm, role: 'writer' };
+      return perm;
+    });
+
+    const policyActions = policy ? policy.plan(afterTransfer, { previousOwners: entry.owners }) : [];
+    const isPreviousOwner = action => previousOwners.includes((action.emailAddress || '').toLowerCase());
+    const previousOwnerRole = policy ? policy.previousOwner : 'writer';
+
+    const actions = [];
+    if (previousOwnerRole !== 'remove') {
+      actions.push({ action: 'source_role_after', emailAddress: sourceEmail, fromRole: 'owner', role: previousOwnerRole });
+    }
+
+    policyActions
+      .filter(action => action.action === 'remove_permission')
+      .forEach(action => actions.push({
+        action: action.type === 'anyone' ? 'revoke_link' : 'remove_permission',
+        permissionId: action.permissionId,
+        emailAddress: action.emailAddress,
+        domain: action.domain,
+        fromRole: isPreviousOwner(action) ? 'owner' : action.fromRole,
+        reason: action.reason
+      }));
+
+    return actions;
+  }
+
+  /**
+   * Counts plan entries by status
+   */
+  summarizePlan(files) {
+    const count = status => files.filter(file => file.status === status).length;
+
+    return {
+      ready: count('ready'),
+      skip: count('skip'),
+      blocked: count('blocked'),
+      total: files.length
+    };
+  }
+
+  /**
+   * Writes a plan to disk for review
+   */
+  async savePlan(plan, filePath = null) {
+    const planPath = filePath || path.join(config.paths.plans, `${plan.id}.json`);
+
+    try {
+      await fs.mkdir(path.dirname(planPath), { recursive: true });
+      await fs.writeFile(planPath, JSON.stringify(plan, null, 2));
+      return planPath;
+    } catch (error) {
+      throw new Error(`Cannot save plan to ${planPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads a plan from disk and checks it looks like one
+   */
+  static async loadPlan(filePath) {
+    let plan;
+
+    try {
+      plan = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load plan from ${filePath}: ${error.message}`);
+    }
+
+    if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.files) || !plan.source || !plan.target) {
+      throw new Error(`${filePath} is not a valid transfer plan`);
+    }
+
+    try {
+      AccessPolicy.fromOptions(plan.options && plan.options.accessPolicy);
+    } catch (error) {
+      throw new Error(`${filePath} has an invalid access policy: ${error.message}`);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Executes a reviewed plan
+   * Every ready file is re-checked first; files that changed since planning are stopped, not transferred
+   * Only the plan's own access policy is applied; a different one given here is refused
+   */
+  async executePlan(plan, options = {}) {
+    const {
+      delayBetweenTransfers = 1000,
+      operationId = null,
+      moveToNewOwnerDrive = false
+    } = options;
+    const accessPolicy = plan.options.accessPolicy || null;
+
+    if (options.accessPolicy !== undefined && !AccessPolicy.isSame(options.accessPolicy, accessPolicy)) {
+      throw new Error('The access policy differs from the one in the plan; make a new plan to change it');
+    }
+
+    const results = [];
+    const readyFiles = plan.files.filter(file => file.status === 'ready');
+
+    console.log(`🚀 Executing plan ${plan.id}: ${readyFiles.length} files to ${plan.target}`);
+
+    for (let i = 0; i < readyFiles.length; i++) {
+      const entry = readyFiles[i];
+      console.log(`\n📂 Processing file ${i + 1} of ${readyFiles.length}`);
+
+      const drift = await this.detectDrift(entry);
+      if (drift.length > 0) {
+        console.log(`🛑 ${entry.fileName || entry.fileId} changed since the plan was made, skipping`);
+        this.transferService.recordAudit(operationId, {
+          fileId: entry.fileId,
+          fileName: entry.fileName,
+          mimeType: entry.mimeType,
+          previousOwners: entry.owners,
+          permissionsChanged: [],
+          startedAt: new Date().toISOString()
+        }, 'drifted', new Error(`Drift detected: ${drift.join('; ')}`));
+        results.push({
+          success: false,
+          drift: true,
+          fileId: entry.fileId,
+          fileName: entry.fileName,
+          error: `Drift detected: ${drift.join('; ')}`
+        });
+        continue;
+      }
+
+      try {
+        results.push(await this.transferService.transferFileOwnership(entry.fileId, plan.target, {
+          sendNotificationEmail: plan.options.sendNotificationEmail,
+          moveToNewOwnerDrive,
+          accessPolicy,
+          operationId
+        }));
+      } catch (error) {
+        results.push({ success: false, fileId: entry.fileId, fileName: entry.fileName, error: error.message });
+      }
+
+      if (i < readyFiles.length - 1) {
+        await this.transferService.delay(delayBetweenTransfers);
+      }
+    }
+
+    const successful = results.filter(r => r.success).length;
+    const drifted = results.filter(r => r.drift).length;
+    const summary = {
+      successful,
+      failed: results.length - successful - drifted,
+      drifted,
+      notPlanned: plan.files.length - readyFiles.length,
+      total: plan.files.length
+    };
+
+    console.log(`\n📊 Plan execution completed:`);
+    console.log(`   ✅ Successful: ${summary.successful}`);
+    console.log(`   🛑 Stopped (drift): ${summary.drifted}`);
+    console.log(`   ❌ Failed: ${summary.failed}`);
+
+    return { planId: plan.id, results, summary };
+  }
+
+  /**
+   * Compares a file's current owners and permissions with what the plan recorded
+   * Returns a list of differences; an empty list means the plan still applies
+   */
+  async detectDrift(entry) {
+    let fileDetails;
+    let permissions;
+
+    try {
+      fileDetails = await this.transferService.getFileDetails(entry.fileId);
+      permissions = await this.transferService.getFilePermissions(entry.fileId);
+    } catch (error) {
+      return [`file can no longer be read (${error.message})`];
+    }
+
+    const differences = [];
+    const owners = (fileDetails.owners || []).map(owner => owner.emailAddress);
+
+    if (owners.slice().sort().join(',') !== entry.owners.slice().sort().join(',')) {
+      differences.push(`owners changed from ${entry.owners.join(', ')} to ${owners.join(', ')}`);
+    }
+
+    const describe = perm => `${perm.type}:${perm.emailAddress || perm.id}:${perm.role}`;
+    const planned = new Set(entry.permissions.map(describe));
+    const current = new Set(permissions.map(describe));
+
+    const added = [...current].filter(perm => !planned.has(perm));
+    const removed = [...planned].filter(perm => !current.has(perm));
+
+    if (added.length > 0 || removed.length > 0) {
+      differences.push(
+        'permissions changed' +
+        (added.length > 0 ? ` (added ${added.join(', ')})` : '') +
+        (removed.length > 0 ? ` (removed ${removed.join(', ')})` : '')
+      );
+    }
+
+    return differences;
+  }
+}
+
+module.exports = PlanService;
\ No newline at end of file
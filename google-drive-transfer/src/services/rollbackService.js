@@ -0,0 +1,234 @@
+// src/services/rollbackService.js
+const { google } = require('googleapis');
+const SnapshotStore = require('./snapshotStore');
+const RequestScheduler = require('../utils/requestScheduler');
+
+class RollbackService {
+  /**
+   * The original owner's client cleans up permissions once ownership is back;
+   * the current (new) owner's client is the only one allowed to hand ownership back
+   */
+  constructor(originalOwnerAuthClient, currentOwnerAuthClient, scheduler = RequestScheduler.getShared()) {
+    this.originalDrive = scheduler.wrap(google.drive({ version: 'v3', auth: originalOwnerAuthClient }));
+    this.currentDrive = scheduler.wrap(google.drive({ version: 'v3', auth: currentOwnerAuthClient }));
+    this.snapshotStore = new SnapshotStore();
+  }
+
+  /**
+   * Groups snapshots by original and new owner, since each pair needs its own credentials
+   */
+  static groupByAccounts(snapshots) {
+    const groups = new Map();
+
+    snapshots.forEach(snapshot => {
+      const key = `${snapshot.source}|${snapshot.target}`;
+      if (!groups.has(key)) {
+        groups.set(key, { source: snapshot.source, target: snapshot.target, snapshots: [] });
+      }
+      groups.get(key).snapshots.push(snapshot);
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Rolls back a list of snapshots, one file at a time
+   * Every file that could not be fully restored is reported with the reasons
+   */
+  async rollbackSnapshots(snapshots, options = {}) {
+    const { onResult = null } = options;
+    const results = [];
+
+    console.log(`⏪ Rolling back ${snapshots.length} files`);
+
+    for (let i = 0; i < snapshots.length; i++) {
+      console.log(`\n📂 Restoring file ${i + 1} of ${snapshots.length}`);
+      const result = await this.rollbackFile(snapshots[i]);
+      results.push(result);
+      if (onResult) await onResult(result);
+    }
+
+    const summary = {
+      restored: results.filter(r => r.success).length,
+      partial: results.filter(r => !r.success && r.ownershipReturned).length,
+      failed: results.filter(r => !r.ownershipReturned).length,
+      total: results.length
+    };
+
+    console.log(`\n📊 Rollback completed:`);
+    console.log(`   ✅ Restored: ${summary.restored}`);
+    console.log(`   ⚠️ Partly restored: ${summary.partial}`);
+    console.log(`   ❌ Not restored: ${summary.failed}`);
+
+    return { results, summary };
+  }
+
+  /**
+   * Undoes one transfer: returns ownership, removes permissions the tool added
+   * and puts every recorded role back
+   */
+  async rollbackFile(snapshot) {
+    const result = {
+      success: false,
+      snapshotId: snapshot.id,
+      fileId: snapshot.fileId,
+      fileName: snapshot.fileName,
+      originalOwner: snapshot.source,
+      ownershipReturned: false,
+      restored: [],
+      problems: []
+    };
+
+    console.log(`🔄 Rolling back ${snapshot.fileName} (${snapshot.fileId}) to ${snapshot.source}`);
+
+    // Step 1: Give ownership back, using the new owner's credentials
+    try {
+      result.ownershipReturned = await this.returnOwnership(snapshot, result);
+    } catch (error) {
+      result.problems.push(`Ownership could not be returned to ${snapshot.source}: ${error.message}`);
+    }
+
+    if (!result.ownershipReturned) {
+      console.log(`❌ ${result.problems.join('; ')}`);
+      return result;
+    }
+
+    // Step 2: Remove permissions the transfer added
+    for (const change of snapshot.changes.filter(c => c.action === 'add_permission')) {
+      try {
+        await this.originalDrive.permissions.delete({ fileId: snapshot.fileId, permissionId: change.permissionId });
+        result.restored.push(`Removed access added for ${change.emailAddress}`);
+      } catch (error) {
+        if (Number(error.code) === 404) {
+          result.restored.push(`Access added for ${change.emailAddress} was already removed`);
+        } else {
+          result.problems.push(`Could not remove access added for ${change.emailAddress}: ${error.message}`);
+        }
+      }
+    }
+
+    // Step 3: Put the recorded roles back
+    await this.restoreRoles(snapshot, result);
+
+    result.success = result.problems.length === 0;
+
+    try {
+      await this.snapshotStore.markRolledBack(snapshot);
+    } catch (error) {
+      result.problems.push(error.message);
+      result.success = false;
+    }
+
+    console.log(result.success
+      ? `✅ Restored ${snapshot.fileName}`
+      : `⚠️ Partly restored ${snapshot.fileName}: ${result.problems.join('; ')}`);
+
+    return result;
+  }
+
+  /**
+   * Transfers ownership back to the original owner when the new owner still holds it
+   * Returns false, with the reason recorded, when the file is owned by someone else now
+   */
+  async returnOwnership(snapshot, result) {
+    const response = await this.currentDrive.files.get({ fileId: snapshot.fileId, fields: 'id, owners' });
+    const owners = (response.data.owners || []).map(owner => owner.emailAddress.toLowerCase());
+
+    if (owners.includes(snapshot.source.toLowerCase())) {
+      // The transfer never got as far as changing the owner
+      result.restored.push(`${snapshot.source} still owns the file`);
+      return true;
+    }
+
+    if (!owners.includes(snapshot.target.toLowerCase())) {
+      result.problems.push(
+        `File is now owned by ${owners.join(', ') || 'unknown'}, not ${snapshot.target}; ownership was not changed`
+      );
+      return false;
+    }
+
+    const permissions = await this.listPermissions(this.currentDrive, snapshot.fileId);
+    const sourcePermission = permissions.find(perm =>
+      perm.emailAddress && perm.emailAddress.toLowerCase() === snapshot.source.toLowerCase()
+    );
+
+    if (sourcePermission) {
+      await this.currentDrive.permissions.update({
+        fileId: snapshot.fileId,
+        permissionId: sourcePermission.id,
+        resource: { role: 'owner' },
+        transferOwnership: true
+      });
+    } else {
+      await this.currentDrive.permissions.create({
+        fileId: snapshot.fileId,
+        resource: { role: 'owner', type: 'user', emailAddress: snapshot.source },
+        transferOwnership: true
+      });
+    }
+
+    result.restored.push(`Ownership returned to ${snapshot.source}`);
+    return true;
+  }
+
+  /**
+   * Compares the recorded permissions with the current ones and restores roles that changed
+   * Permissions that were removed since the snapshot are recreated
+   */
+  async restoreRoles(snapshot, result) {
+    let current;
+
+    try {
+      current = await this.listPermissions(this.originalDrive, snapshot.fileId);
+    } catch (error) {
+      result.problems.push(`Could not read permissions to restore roles: ${error.message}`);
+      return;
+    }
+
+    for (const recorded of snapshot.permissions) {
+      // The original owner's role was restored with the ownership itself
+      if (recorded.role === 'owner') continue;
+
+      const label = recorded.emailAddress || recorded.domain || recorded.type;
+      const existing = current.find(perm => perm.id === recorded.id);
+
+      try {
+        if (!existing) {
+          await this.originalDrive.permissions.create({
+            fileId: snapshot.fileId,
+            resource: {
+              role: recorded.role,
+              type: recorded.type,
+              ...(recorded.emailAddress && { emailAddress: recorded.emailAddress }),
+              ...(recorded.domain && { domain: recorded.domain })
+            },
+            sendNotificationEmail: false
+          });
+          result.restored.push(`Recreated ${recorded.role} access for ${label}`);
+        } else if (existing.role !== recorded.role) {
+          await this.originalDrive.permissions.update({
+            fileId: snapshot.fileId,
+            permissionId: existing.id,
+            resource: { role: recorded.role }
+          });
+          result.restored.push(`Restored ${label} from ${existing.role} to ${recorded.role}`);
+        }
+      } catch (error) {
+        result.problems.push(`Could not restore ${recorded.role} access for ${label}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Lists every permission on a file with the given client
+   */
+  async listPermissions(drive, fileId) {
+    const response = await drive.permissions.list({
+      fileId,
+      fields: 'permissions(id, role, type, emailAddress, domain)'
+    });
+    return response.data.permissions || [];
+  }
+}
+
+module.exports = RollbackService;
@@ -0,0 +1,374 @@
+// src/services/sharedDriveMigrationService.js
+const { google } = require('googleapis');
+const DriveService = require('./driveService');
+const RequestScheduler = require('../utils/requestScheduler');
+const DriveQuery = require('../utils/driveQuery');
+const logger = require('../utils/logger');
+
+// What the preflight checks need to know about every item in a tree
+const SCAN_FIELDS = 'id, name, mimeType, parents, driveId, owners(emailAddress), ' +
+  'capabilities(canMoveItemIntoTeamDrive), permissions(type, emailAddress, domain)';
+
+const DRIVE_FIELDS = 'id, name, capabilities, restrictions';
+
+// Only organizers and content managers may add items that come from outside the shared drive
+const MOVING_ROLES = ['organizer', 'fileOrganizer'];
+
+// Drive error reasons a move can fail with, and what the user can do about them
+const MOVE_ERRORS = {
+  crossDomainMoveRestriction: 'The shared drive belongs to another domain, or its settings block items from outside it',
+  teamDriveFileLimitExceeded: 'The shared drive has reached its item limit',
+  teamDriveHierarchyTooDeep: 'The shared drive folder would be nested too deeply',
+  teamDrivesFolderMoveInNotSupported: 'Folders cannot be moved into shared drives by this account',
+  teamDrivesParentLimit: 'Items in shared drives can only have one parent',
+  insufficientFilePermissions: 'The acting account cannot move this item'
+};
+
+class SharedDriveMigrationService {
+  constructor(authClient, scheduler = RequestScheduler.getShared()) {
+    this.drive = scheduler.wrap(google.drive({ version: 'v3', auth: authClient }));
+    this.driveService = new DriveService(authClient, scheduler);
+    this.scheduler = scheduler;
+  }
+
+  /**
+   * Lists the shared drives the acting user is a member of, with their role on each
+   */
+  async listSharedDrives() {
+    const drives = [];
+    let pageToken = null;
+
+    do {
+      const response = await this.drive.drives.list({
+        pageSize: 100,
+        fields: `nextPageToken, drives(${DRIVE_FIELDS})`,
+        ...(pageToken && { pageToken })
+      });
+      (response.data.drives || []).forEach(drive => drives.push({ ...drive, role: this.getRole(drive) }));
+      pageToken = response.data.nextPageToken || null;
+    } while (pageToken);
+
+    return drives;
+  }
+
+  async getSharedDrive(driveId) {
+    try {
+      const response = await this.drive.drives.get({ driveId, fields: DRIVE_FIELDS });
+      return { ...response.data, role: this.getRole(response.data) };
+    } catch (error) {
+      throw new Error(`Failed to get shared drive ${driveId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Works out the acting user's role on a shared drive from its capabilities
+   * The API does not return the role itself
+   */
+  getRole(drive) {
+    const capabilities = drive.capabilities || {};
+
+    if (capabilities.canManageMembers) return 'organizer';
+    if (capabilities.canTrashChildren) return 'fileOrganizer';
+    if (capabilities.canAddChildren) return 'writer';
+    return 'reader';
+  }
+
+  /**
+   * Checks the shared drive and the folder items will be moved into
+   * The folder defaults to the top of the shared drive
+   */
+  async resolveDestination(driveId, folderId = null) {
+    const drive = await this.getSharedDrive(driveId);
+
+    if (!MOVING_ROLES.includes(drive.role)) {
+      throw new Error(`Moving items into ${drive.name} needs the Manager or Content manager role (you are ${drive.role})`);
+    }
+
+    if (!folderId || folderId === drive.id) {
+      return { drive, folderId: drive.id, folderName: drive.name };
+    }
+
+    const folder = await this.driveService.getFileDetails(folderId);
+
+    if (!this.driveService.isFolder(folder)) {
+      throw new Error(`${folder.name} (${folderId}) is not a folder`);
+    }
+    if (folder.driveId !== drive.id) {
+      throw new Error(`${folder.name} (${folderId}) is not in the shared drive ${drive.name}`);
+    }
+
+    return { drive, folderId: folder.id, folderName: `${drive.name}/${folder.name}` };
+  }
+
+  /**
+   * Reads an item and, for a folder, everything beneath it, noting why any item cannot be moved
+   * A folder is movable in one step only if every item beneath it is
+   */
+  async scan(fileId, drive, domain) {
+    const visited = new Set();
+
+    const read = async (file, itemPath) => {
+      visited.add(file.id);
+
+      const node = {
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType,
+        path: itemPath,
+        parents: file.parents || [],
+        owners: (file.owners || []).map(owner => owner.emailAddress),
+        // Moved by an earlier run; a folder that moved took its contents with it
+        alreadyMoved: file.driveId === drive.id,
+        blocker: file.driveId === drive.id ? null : this.getBlocker(file, drive, domain),
+        children: []
+      };
+
+      if (this.driveService.isFolder(file) && !node.blocker && !node.alreadyMoved) {
+        const query = new DriveQuery().inFolder(file.id).trashed(false).build();
+
+        for await (const child of this.driveService.iterateFiles({ query, fields: SCAN_FIELDS, orderBy: 'folder,name' })) {
+          // Items with several parents are moved with the first folder that reaches them
+          if (!visited.has(child.id)) {
+            node.children.push(await read(child, `${itemPath}/${child.name}`));
+          }
+        }
+      }
+
+      node.movable = !node.blocker && node.children.every(child => child.movable);
+      return node;
+    };
+
+    const response = await this.drive.files.get({ fileId, fields: SCAN_FIELDS, supportsAllDrives: true });
+    return read(response.data, response.data.name);
+  }
+
+  /**
+   * Gets the reason an item cannot be moved into the shared drive, or null if it can
+   */
+  getBlocker(file, drive, domain) {
+    if (file.driveId) {
+      return 'Already in a shared drive';
+    }
+
+    if (file.capabilities && file.capabilities.canMoveItemIntoTeamDrive === false) {
+      const owners = (file.owners || []).map(owner => owner.emailAddress).join(', ');
+      return `Only the owner${owners ? ` (${owners})` : ''} can move it into a shared drive`;
+    }
+
+    if (drive.restrictions && drive.restrictions.domainUsersOnly) {
+      const external = (file.permissions || []).some(permission => {
+        if (permission.type === 'anyone') return true;
+        if (permission.type === 'domain') return permission.domain !== domain;
+        return permission.emailAddress && permission.emailAddress.split('@').pop().toLowerCase() !== domain;
+      });
+
+      if (external) {
+        return 'Shared outside the domain, which this shared drive does not allow';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Moves files and folder trees into a shared drive folder, keeping the hierarchy
+   * Folders whose whole tree can move are moved in one step; any other folder is recreated
+   * in the shared drive and its movable contents moved into the copy
+   */
+  async migrate(fileIds, destination, options = {}) {
+    const { dryRun = false, operationId = null, onResult = null } = options;
+    const user = await this.driveService.getCurrentUser();
+    const domain = user.emailAddress.split('@').pop().toLowerCase();
+    const results = [];
+
+    const record = async (node, status, reason = null) => {
+      const result = {
+        fileId: node.id,
+        fileName: node.name,
+        mimeType: node.mimeType,
+        path: node.path,
+        status,
+        reason
+      };
+      results.push(result);
+
+      if (operationId) {
+        const now = new Date().toISOString();
+        logger.logFileTransfer(operationId, {
+          fileId: node.id,
+          fileName: node.name,
+          mimeType: node.mimeType,
+          previousOwners: node.owners,
+          startedAt: now,
+          finishedAt: now,
+          outcome: status,
+          error: ['blocked', 'failed'].includes(status) ? reason : null
+        });
+      }
+
+      if (onResult) await onResult(result);
+    };
+
+    // Everything inside a folder that moved in one step went with it
+    const recordContents = async (node, status) => {
+      for (const child of node.children) {
+        await record(child, status, `With its folder ${node.path}`);
+        await recordContents(child, status);
+      }
+    };
+
+    const moveNode = async (node, parentId) => {
+      if (node.alreadyMoved) {
+        await record(node, 'skipped', 'Already in the shared drive');
+        return;
+      }
+
+      if (node.blocker) {
+        await record(node, 'blocked', node.blocker);
+        return;
+      }
+
+      const isFolder = this.driveService.isFolder(node);
+
+      if (node.movable) {
+        if (dryRun) {
+          await record(node, 'ready');
+          await recordContents(node, 'ready');
+          return;
+        }
+
+        try {
+          await this.moveItem(node, parentId);
+          console.log(`📦 Moved ${node.path}`);
+          await record(node, 'moved');
+          await recordContents(node, 'moved');
+          return;
+        } catch (error) {
+          const reasons = this.scheduler.getErrorReasons(error);
+
+          // Some accounts may move files but not folders in; rebuilding the folder still works
+          if (!isFolder || !reasons.includes('teamDrivesFolderMoveInNotSupported')) {
+            console.log(`⚠️ Could not move ${node.path}: ${this.describeError(error)}`);
+            await record(node, 'failed', this.describeError(error));
+            return;
+          }
+        }
+      }
+
+      // A folder with something beneath it that cannot move: rebuild it and move what can go
+      let folderId = null;
+      if (dryRun) {
+        await record(node, 'ready', 'Will be recreated in the shared drive; the original keeps what cannot move');
+      } else {
+        try {
+          folderId = await this.createFolder(node.name, parentId, destination.drive.id);
+          console.log(`📁 Recreated ${node.path}`);
+          await record(node, 'recreated', 'The original folder keeps the items that could not be moved');
+        } catch (error) {
+          await record(node, 'failed', this.describeError(error));
+          return;
+        }
+      }
+
+      for (const child of node.children) {
+        await moveNode(child, folderId);
+      }
+    };
+
+    for (const fileId of fileIds) {
+      let node;
+      try {
+        console.log(`🔍 Checking ${fileId}...`);
+        node = await this.scan(fileId, destination.drive, domain);
+      } catch (error) {
+        await record({ id: fileId, name: null, mimeType: null, path: fileId, owners: [] }, 'failed', this.describeError(error));
+        continue;
+      }
+
+      await moveNode(node, destination.folderId);
+    }
+
+    return { results, summary: this.summarize(results) };
+  }
+
+  /**
+   * Moves an item out of its My Drive folders and into the shared drive folder
+   */
+  async moveItem(node, parentId) {
+    await this.drive.files.update({
+      fileId: node.id,
+      addParents: parentId,
+      ...(node.parents.length > 0 && { removeParents: node.parents.join(',') }),
+      supportsAllDrives: true,
+      fields: 'id, driveId'
+    });
+  }
+
+  /**
+   * Gets the shared drive folder that stands in for a source folder, creating it if there is none
+   * A folder rebuilt by an earlier run is reused, so re-running a partial migration adds no duplicates
+   */
+  async createFolder(name, parentId, driveId) {
+    const query = new DriveQuery()
+      .nameEquals(name)
+      .inFolder(parentId)
+      .mimeType('folder')
+      .trashed(false)
+      .build();
+
+    const existing = await this.drive.files.list({
+      q: query,
+      corpora: 'drive',
+      driveId,
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true,
+      fields: 'files(id)',
+      pageSize: 1
+    });
+    if ((existing.data.files || []).length > 0) {
+      return existing.data.files[0].id;
+    }
+
+    // The ID is chosen up front: if a create that Drive already carried out is retried,
+    // the retry fails with 409 instead of making a second folder
+    const ids = await this.drive.files.generateIds({ count: 1, space: 'drive' });
+    const id = ids.data.ids[0];
+
+    try {
+      await this.drive.files.create({
+        requestBody: { id, name, mimeType: DriveService.FOLDER_MIME_TYPE, parents: [parentId] },
+        supportsAllDrives: true,
+        fields: 'id'
+      });
+    } catch (error) {
+      if (Number((error.response && error.response.status) || error.code) !== 409) {
+        throw error;
+      }
+    }
+
+    return id;
+  }
+
+  describeError(error) {
+    const reason = this.scheduler.getErrorReasons(error).find(item => MOVE_ERRORS[item]);
+    return reason ? MOVE_ERRORS[reason] : error.message;
+  }
+
+  summarize(results) {
+    const count = status => results.filter(result => result.status === status).length;
+
+    return {
+      moved: count('moved'),
+      recreated: count('recreated'),
+      skipped: count('skipped'),
+      ready: count('ready'),
+      blocked: count('blocked'),
+      failed: count('failed'),
+      total: results.length
+    };
+  }
+}
+
+SharedDriveMigrationService.MOVING_ROLES = MOVING_ROLES;
+
+module.exports = SharedDriveMigrationService;
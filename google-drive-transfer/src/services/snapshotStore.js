@@ -0,0 +1,169 @@
+// src/services/snapshotStore.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config/config');
+
+class SnapshotStore {
+  constructor(snapshotsDir = config.paths.snapshots) {
+    this.snapshotsDir = snapshotsDir;
+    // Concurrent transfers write snapshots at the same time, so writes are queued
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Gets the path of a snapshot file
+   */
+  getSnapshotPath(snapshotId) {
+    return path.join(this.snapshotsDir, `${snapshotId}.json`);
+  }
+
+  /**
+   * Records a file's owners and full permission list before a transfer changes them
+   */
+  async createSnapshot({ fileDetails, permissions, target, batchId = null }) {
+    const owners = (fileDetails.owners || []).map(owner => owner.emailAddress);
+
+    const snapshot = {
+      id: `snap_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      batchId,
+      fileId: fileDetails.id,
+      fileName: fileDetails.name,
+      mimeType: fileDetails.mimeType,
+      source: owners[0] || null,
+      target,
+      owners,
+      permissions: permissions.map(perm => ({
+        id: perm.id,
+        role: perm.role,
+        type: perm.type,
+        emailAddress: perm.emailAddress || null,
+        domain: perm.domain || null
+      })),
+      // Permission changes made by the tool, in order, so a rollback undoes only those
+      changes: [],
+      status: 'pending',
+      error: null,
+      takenAt: new Date().toISOString(),
+      transferredAt: null,
+      rolledBackAt: null
+    };
+
+    await this.save(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Appends a permission change to a snapshot and saves it straight away
+   */
+  async recordChange(snapshot, change) {
+    snapshot.changes.push({ ...change, at: new Date().toISOString() });
+    await this.save(snapshot);
+  }
+
+  /**
+   * Records how the transfer ended
+   */
+  async markTransferred(snapshot) {
+    snapshot.status = 'transferred';
+    snapshot.transferredAt = new Date().toISOString();
+    await this.save(snapshot);
+  }
+
+  async markFailed(snapshot, error) {
+    snapshot.status = 'failed';
+    snapshot.error = error.message;
+    await this.save(snapshot);
+  }
+
+  async markRolledBack(snapshot) {
+    snapshot.status = 'rolled_back';
+    snapshot.rolledBackAt = new Date().toISOString();
+    await this.save(snapshot);
+  }
+
+  /**
+   * Writes a snapshot atomically through a temp file and a rename
+   */
+  async save(snapshot) {
+    const write = this.writeQueue.then(async () => {
+      const snapshotPath = this.getSnapshotPath(snapshot.id);
+      const tempPath = `${snapshotPath}.${process.pid}.tmp`;
+
+      try {
+        await fs.mkdir(this.snapshotsDir, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(snapshot, null, 2));
+        await fs.rename(tempPath, snapshotPath);
+      } catch (error) {
+        throw new Error(`Cannot save snapshot ${snapshot.id}: ${error.message}`);
+      }
+    });
+
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Loads a snapshot by ID
+   */
+  async load(snapshotId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getSnapshotPath(snapshotId), 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load snapshot ${snapshotId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists snapshots, newest first, optionally limited to one batch or a set of files
+   */
+  async listSnapshots({ batchId = null, fileIds = null } = {}) {
+    let files;
+
+    try {
+      files = await fs.readdir(this.snapshotsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const wanted = fileIds ? new Set(fileIds) : null;
+    const snapshots = [];
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(this.snapshotsDir, file), 'utf8'));
+        if (batchId && snapshot.batchId !== batchId) continue;
+        if (wanted && !wanted.has(snapshot.fileId)) continue;
+        snapshots.push(snapshot);
+      } catch {
+        // Skip unreadable records rather than hiding every other snapshot
+      }
+    }
+
+    return snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  }
+
+  /**
+   * Picks the snapshots a rollback should undo: the latest one per file that changed something
+   * and has not been rolled back yet
+   */
+  async findRollbackCandidates(filter = {}) {
+    const snapshots = await this.listSnapshots(filter);
+    const latest = new Map();
+
+    snapshots.forEach(snapshot => {
+      if (!latest.has(snapshot.fileId)) {
+        latest.set(snapshot.fileId, snapshot);
+      }
+    });
+
+    return [...latest.values()].filter(snapshot =>
+      snapshot.status !== 'rolled_back' && snapshot.changes.length > 0
+    );
+  }
+}
+
+module.exports = SnapshotStore;
@@ -1,12 +1,23 @@
 // src/services/transferService.js
 const { google } = require('googleapis');
+const DriveService = require('./driveService');
+const SnapshotStore = require('./snapshotStore');
+const FolderMirror = require('./folderMirror');
+const AccessPolicy = require('./accessPolicy');
+const RequestScheduler = require('../utils/requestScheduler');
+const logger = require('../utils/logger');
+const config = require('../../config/config');
 
 class TransferService {
-  constructor(sourceAuthClient, targetAuthClient) {
-    this.sourceDrive = google.drive({ version: 'v3', auth: sourceAuthClient });
-    this.targetDrive = google.drive({ version: 'v3', auth: targetAuthClient });
+  constructor(sourceAuthClient, targetAuthClient, scheduler = RequestScheduler.getShared()) {
+    this.scheduler = scheduler;
+    this.sourceDrive = scheduler.wrap(google.drive({ version: 'v3', auth: sourceAuthClient }));
+    this.sourceDriveService = new DriveService(sourceAuthClient, scheduler);
+    this.targetDrive = scheduler.wrap(google.drive({ version: 'v3', auth: targetAuthClient }));
     this.sourceAuth = sourceAuthClient;
     this.targetAuth = targetAuthClient;
+    this.snapshotStore = new SnapshotStore();
+    this.folderMirrors = new Map();
   }
 
   /**
@@ -14,12 +25,26 @@ class TransferService {
    * This is the core functionality of our application
    */
   async transferFileOwnership(fileId, newOwnerEmail, options = {}) {
+    const {
+      transferOwnership = true,
+      sendNotificationEmail = false,
+      moveToNewOwnerDrive = false, // Places the file in a copy of its folder path in the new owner's My Drive
+      accessPolicy = null, // AccessPolicy options applied once ownership has moved
+      batchId = null, // Groups snapshots so a whole batch can be rolled back
+      operationId = null // Ties the file's audit record to its operation
+    } = options;
+
+    const audit = {
+      fileId,
+      fileName: null,
+      mimeType: null,
+      previousOwners: [],
+      permissionsChanged: [],
+      startedAt: new Date().toISOString()
+    };
+
     try {
-      const {
-        transferOwnership = true,
-        sendNotificationEmail = false,
-        moveToNewOwnerDrive = false
-      } = options;
+      const policy = AccessPolicy.fromOptions(accessPolicy);
 
       console.log(`🔄 Starting ownership transfer for file ${fileId} to ${newOwnerEmail}`);
 
@@ -27,99 +52,679 @@ class TransferService {
       const fileDetails = await this.getFileDetails(fileId);
       console.log(`📄 File: ${fileDetails.name}`);
 
+      audit.fileName = fileDetails.name;
+      audit.mimeType = fileDetails.mimeType;
+      audit.previousOwners = (fileDetails.owners || []).map(owner => owner.emailAddress);
+
       // Step 2: Check if the new owner already has access
       const existingPermissions = await this.getFilePermissions(fileId);
       const existingPermission = existingPermissions.find(
-        perm => perm.emailAddress === newOwnerEmail
+        perm => this.isSameEmail(perm.emailAddress, newOwnerEmail)
       );
 
-      if (existingPermission && existingPermission.role === 'owner') {
+      // Also covers re-runs of a file that was transferred before the process stopped
+      const alreadyOwner = (existingPermission && existingPermission.role === 'owner') ||
+        (fileDetails.owners || []).some(owner => this.isSameEmail(owner.emailAddress, newOwnerEmail));
+
+      if (alreadyOwner) {
         console.log(`✅ ${newOwnerEmail} is already the owner of this file`);
+        this.recordAudit(operationId, audit, 'already_owner');
         return { success: true, message: 'Already owner', fileId, fileName: fileDetails.name };
       }
 
-      // Step 3: Add the new owner with 'writer' permissions first
-      // Google requires this step before transferring ownership
-      if (!existingPermission) {
-        await this.addPermission(fileId, newOwnerEmail, 'writer');
-        console.log(`📝 Added writer permission for ${newOwnerEmail}`);
-      }
+      // Step 3: Record the permissions as they are now, so the transfer can be rolled back
+      const snapshot = await this.snapshotStore.createSnapshot({
+        fileDetails,
+        permissions: existingPermissions,
+        target: newOwnerEmail,
+        batchId
+      });
+      audit.permissionsChanged = snapshot.changes;
+
+      try {
+        // Step 4: Add the new owner with 'writer' permissions first
+        // Google requires this step before transferring ownership
+        if (!existingPermission) {
+          const added = await this.addPermission(fileId, newOwnerEmail, 'writer');
+          await this.snapshotStore.recordChange(snapshot, {
+            action: 'add_permission',
+            permissionId: added.id,
+            emailAddress: newOwnerEmail,
+            role: 'writer'
+          });
+          console.log(`📝 Added writer permission for ${newOwnerEmail}`);
+        }
+
+        // Step 5: Transfer ownership
+        if (transferOwnership) {
+          await this.promoteToOwner(fileId, newOwnerEmail, sendNotificationEmail);
+          await this.snapshotStore.recordChange(snapshot, {
+            action: 'promote_to_owner',
+            emailAddress: newOwnerEmail,
+            fromRole: existingPermission ? existingPermission.role : 'writer'
+          });
+          console.log(`👑 Transferred ownership to ${newOwnerEmail}`);
+        }
 
-      // Step 4: Transfer ownership
-      if (transferOwnership) {
-        await this.promoteToOwner(fileId, newOwnerEmail, sendNotificationEmail);
-        console.log(`👑 Transferred ownership to ${newOwnerEmail}`);
+        await this.snapshotStore.markTransferred(snapshot);
+      } catch (error) {
+        await this.snapshotStore.markFailed(snapshot, error);
+        throw error;
       }
 
+      // Step 6: Apply the batch's access policy; the changes go into the snapshot so a rollback undoes them
+      const access = policy && transferOwnership
+        ? await this.applyAccessPolicy(fileId, policy, audit.previousOwners, snapshot)
+        : null;
+
+      this.recordAudit(operationId, audit, 'transferred');
+
+      // Step 7: Give the file a folder the new owner can see
+      const placement = moveToNewOwnerDrive && transferOwnership
+        ? await this.placeInNewOwnerDrive(fileDetails, newOwnerEmail)
+        : null;
+
       return {
         success: true,
         message: 'Ownership transferred successfully',
         fileId,
         fileName: fileDetails.name,
-        newOwner: newOwnerEmail
+        newOwner: newOwnerEmail,
+        snapshotId: snapshot.id,
+        ...(access && { accessChanges: access.changes, accessProblems: access.problems }),
+        ...(placement && { placement })
       };
 
     } catch (error) {
       console.error(`❌ Failed to transfer ownership: ${error.message}`);
+      this.recordAudit(operationId, audit, 'failed', error);
       throw new Error(`Transfer failed: ${error.message}`);
     }
   }
 
+  /**
+   * Changes the previous owner's and collaborators' access as the policy says, as the new owner
+   * Ownership has already changed, so failures are reported per permission instead of failing the transfer
+   */
+  async applyAccessPolicy(fileId, policy, previousOwners, snapshot) {
+    const changes = [];
+    const problems = [];
+    let actions;
+
+    try {
+      const response = await this.targetDrive.permissions.list({
+        fileId,
+        fields: 'permissions(id, role, type, emailAddress, domain)'
+      });
+      actions = policy.plan(response.data.permissions || [], { previousOwners });
+    } catch (error) {
+      problems.push(`Could not read permissions to apply the access policy: ${error.message}`);
+      return { changes, problems };
+    }
+
+    for (const action of actions) {
+      const label = action.emailAddress || action.domain || action.type;
+
+      try {
+        if (action.action === 'update_role') {
+          await this.targetDrive.permissions.update({
+            fileId,
+            permissionId: action.permissionId,
+            resource: { role: action.toRole }
+          });
+          console.log(`🔐 ${label}: ${action.fromRole} → ${action.toRole}`);
+        } else {
+          await this.targetDrive.permissions.delete({ fileId, permissionId: action.permissionId });
+          console.log(`🔐 Removed ${action.fromRole} access for ${label}`);
+        }
+
+        await this.snapshotStore.recordChange(snapshot, action);
+        changes.push(action);
+      } catch (error) {
+        problems.push(`Could not change access for ${label}: ${error.message}`);
+        console.log(`⚠️ Could not change access for ${label}: ${error.message}`);
+      }
+    }
+
+    return { changes, problems };
+  }
+
+  /**
+   * Moves a transferred file into the mirrored folder structure in the new owner's My Drive
+   * Ownership has already changed by now, so a failure here is reported rather than thrown
+   */
+  async placeInNewOwnerDrive(fileDetails, newOwnerEmail) {
+    const sourceEmail = ((fileDetails.owners || [])[0] || {}).emailAddress || 'previous owner';
+
+    try {
+      const placement = await this.getFolderMirror(sourceEmail, newOwnerEmail).place(fileDetails);
+      if (placement.moved) {
+        console.log(`🗂️ Placed in ${placement.path}`);
+      }
+      return placement;
+    } catch (error) {
+      console.log(`⚠️ Could not place ${fileDetails.name} in ${newOwnerEmail}'s Drive: ${error.message}`);
+      return { moved: false, error: error.message };
+    }
+  }
+
+  /**
+   * Gets the folder mirror for a source and target, shared by every file of a batch
+   * so each mirrored folder is only created once
+   */
+  getFolderMirror(sourceEmail, targetEmail) {
+    const key = `${sourceEmail}\n${targetEmail}`;
+    if (!this.folderMirrors.has(key)) {
+      this.folderMirrors.set(key, new FolderMirror(this.sourceDrive, this.targetDrive, { sourceEmail, targetEmail }));
+    }
+    return this.folderMirrors.get(key);
+  }
+
+  /**
+   * Compares email addresses the way Drive does: Drive returns them lowercased,
+   * while addresses typed by users may not be
+   */
+  isSameEmail(a, b) {
+    return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  }
+
+  /**
+   * Writes a file's audit record when the transfer is part of a logged operation
+   * A failed write is logged rather than thrown, so it never changes the transfer's result
+   */
+  recordAudit(operationId, audit, outcome, error = null) {
+    if (!operationId) {
+      return;
+    }
+
+    try {
+      logger.logFileTransfer(operationId, {
+        ...audit,
+        finishedAt: new Date().toISOString(),
+        outcome,
+        error: error ? error.message : null
+      });
+    } catch (auditError) {
+      logger.error(`Audit write failed for ${audit.fileId} (${outcome})`, auditError);
+    }
+  }
+
   /**
    * Transfers ownership of multiple files in batch
-   * This method includes error handling for individual file failures
+   * Files are worked on concurrently; the shared scheduler keeps the request rate within quota
    */
   async batchTransferOwnership(fileIds, newOwnerEmail, options = {}) {
-    const results = [];
-    const { 
-      delayBetweenTransfers = 1000,
-      continueOnError = true 
+    const results = new Array(fileIds.length);
+    const {
+      concurrency = config.rateLimit.concurrency,
+      delayBetweenTransfers = 0,
+      continueOnError = true,
+      onResult = null // Called after every file, so callers can stream progress
     } = options;
 
     console.log(`🚀 Starting batch transfer of ${fileIds.length} files to ${newOwnerEmail}`);
 
-    for (let i = 0; i < fileIds.length; i++) {
-      const fileId = fileIds[i];
-      
-      try {
-        console.log(`\n📂 Processing file ${i + 1} of ${fileIds.length}`);
-        const result = await this.transferFileOwnership(fileId, newOwnerEmail, options);
-        results.push(result);
-        
-        // Add delay to respect API rate limits
-        if (i < fileIds.length - 1) {
-          await this.delay(delayBetweenTransfers);
+    const statsBefore = this.scheduler.getStats();
+    let nextIndex = 0;
+    let stopped = false;
+
+    const worker = async () => {
+      while (!stopped && nextIndex < fileIds.length) {
+        const i = nextIndex++;
+        const fileId = fileIds[i];
+
+        try {
+          console.log(`\n📂 Processing file ${i + 1} of ${fileIds.length}`);
+          results[i] = await this.transferFileOwnership(fileId, newOwnerEmail, options);
+        } catch (error) {
+          results[i] = {
+            success: false,
+            error: error.message,
+            fileId
+          };
+
+          if (!continueOnError) {
+            console.log(`🛑 Stopping batch transfer due to error: ${error.message}`);
+            stopped = true;
+          } else {
+            console.log(`⚠️ Error with file ${fileId}, continuing: ${error.message}`);
+          }
         }
-        
-      } catch (error) {
-        const errorResult = {
-          success: false,
-          error: error.message,
-          fileId
-        };
-        
-        results.push(errorResult);
-        
-        if (!continueOnError) {
-          console.log(`🛑 Stopping batch transfer due to error: ${error.message}`);
-          break;
-        } else {
-          console.log(`⚠️ Error with file ${fileId}, continuing: ${error.message}`);
+
+        if (onResult) await onResult(results[i]);
+
+        // Optional fixed pause on top of the scheduler's rate limit
+        if (delayBetweenTransfers > 0 && !stopped && nextIndex < fileIds.length) {
+          await this.delay(delayBetweenTransfers);
         }
       }
-    }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, fileIds.length));
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+    // Files never started (after a stop) leave holes; results stay in input order
+    const finished = results.filter(Boolean);
+    const successful = finished.filter(r => r.success).length;
+    const failed = finished.filter(r => !r.success).length;
+    const retries = this.scheduler.getStatsSince(statsBefore);
 
-    // Provide summary
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
-    
     console.log(`\n📊 Batch transfer completed:`);
     console.log(`   ✅ Successful: ${successful}`);
     console.log(`   ❌ Failed: ${failed}`);
+    if (retries.retries > 0) {
+      console.log(`   🔁 Retried requests: ${retries.retries} (${retries.rateLimited} rate limited, ${retries.serverErrors} server errors)`);
+    }
+
+    return {
+      results: finished,
+      summary: { successful, failed, total: fileIds.length, retries }
+    };
+  }
+
+  /**
+   * Runs (or resumes) a batch job recorded in a JobStore
+   * Files already completed in an earlier run are skipped, and the job is checkpointed after every file
+   */
+  async runBatchJob(job, jobStore, options = {}) {
+    const { onResult = null } = options;
+    const remaining = jobStore.getRemainingFileIds(job);
+
+    await jobStore.markRunning(job);
+
+    if (remaining.length < job.input.fileIds.length) {
+      console.log(`⏩ Resuming job ${job.id}: ${job.input.fileIds.length - remaining.length} files already done`);
+    }
+
+    const batchResult = await this.batchTransferOwnership(remaining, job.target, {
+      ...job.input.options,
+      ...options,
+      batchId: job.id,
+      onResult: async (result) => {
+        await jobStore.recordResult(job, result);
+        if (onResult) await onResult(result);
+      }
+    });
+
+    await jobStore.markFinished(job);
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      results: job.input.fileIds.map(fileId => job.files[fileId].result).filter(Boolean),
+      summary: { ...jobStore.summarize(job), retries: batchResult.summary.retries }
+    };
+  }
+
+  /**
+   * Transfers ownership of a folder and everything beneath it
+   * Pass the tree from collectFolderTree as options.tree to transfer exactly what was previewed.
+   * Items run through batchTransferOwnership; results are then grouped so they can be reported per subtree
+   */
+  async transferFolderOwnership(folderId, newOwnerEmail, options = {}) {
+    const { tree: collectedTree = null, ...batchOptions } = options;
+
+    let tree = collectedTree;
+    if (!tree) {
+      console.log(`🌳 Scanning folder tree ${folderId}...`);
+      tree = await this.collectFolderTree(folderId);
+      console.log(`📦 Found ${tree.summary.folders} folders and ${tree.summary.files} files`);
+    }
+
+    // A folder and its direct children are queued ahead of its subfolders
+    const itemsOf = node => [{ id: node.id, name: node.name }, ...node.files];
+    const queue = [];
+    const enqueue = node => {
+      queue.push(...itemsOf(node));
+      node.folders.forEach(enqueue);
+    };
+    enqueue(tree.root);
+
+    const batchResult = await this.batchTransferOwnership(queue.map(item => item.id), newOwnerEmail, batchOptions);
+    const resultsById = new Map(batchResult.results.map(result => [result.fileId, result]));
+
+    const collectNode = (node) => {
+      const items = itemsOf(node);
+      // Items never started because the batch stopped have no result
+      const results = items
+        .filter(item => resultsById.has(item.id))
+        .map(item => ({ fileName: item.name, ...resultsById.get(item.id) }));
+
+      const nodeResult = {
+        folderId: node.id,
+        folderName: node.name,
+        path: node.path,
+        results,
+        skipped: node.skipped,
+        subfolders: [],
+        summary: {
+          successful: results.filter(r => r.success).length,
+          failed: results.filter(r => !r.success).length,
+          skipped: node.skipped.length,
+          total: items.length
+        }
+      };
+
+      for (const child of node.folders) {
+        const childResult = collectNode(child);
+        nodeResult.subfolders.push(childResult);
+
+        // Roll the subtree counts up so every level reports its full subtree
+        nodeResult.summary.successful += childResult.summary.successful;
+        nodeResult.summary.failed += childResult.summary.failed;
+        nodeResult.summary.skipped += childResult.summary.skipped;
+        nodeResult.summary.total += childResult.summary.total;
+      }
+
+      return nodeResult;
+    };
+
+    const root = collectNode(tree.root);
+
+    if (root.summary.skipped > 0) {
+      console.log(`   ⏭️ Duplicate entries skipped: ${root.summary.skipped}`);
+    }
+
+    return {
+      root,
+      summary: { ...root.summary, retries: batchResult.summary.retries }
+    };
+  }
+
+  /**
+   * Walks a folder tree, following every page of results in every subfolder
+   * Items reachable through more than one parent (or through a cycle) are only collected once
+   */
+  async collectFolderTree(folderId) {
+    const rootDetails = await this.getFileDetails(folderId);
+
+    if (!this.sourceDriveService.isFolder(rootDetails)) {
+      throw new Error(`${rootDetails.name} (${folderId}) is not a folder`);
+    }
+
+    const visited = new Set([folderId]);
+    const summary = { folders: 1, files: 0, skipped: 0 };
+
+    const walk = async (folder, folderPath) => {
+      const node = {
+        id: folder.id,
+        name: folder.name,
+        mimeType: folder.mimeType,
+        path: folderPath,
+        files: [],
+        folders: [],
+        skipped: []
+      };
+
+      const children = await this.sourceDriveService.getAllFilesInFolder(folder.id);
+      const subfolders = [];
+
+      // Claim every direct child before descending, so shared items stay with their shallowest parent
+      for (const child of children) {
+        if (visited.has(child.id)) {
+          node.skipped.push({
+            fileId: child.id,
+            fileName: child.name,
+            reason: 'Already reached through another parent'
+          });
+          summary.skipped++;
+          continue;
+        }
+        visited.add(child.id);
+
+        if (this.sourceDriveService.isFolder(child)) {
+          summary.folders++;
+          subfolders.push(child);
+        } else {
+          summary.files++;
+          node.files.push(child);
+        }
+      }
+
+      for (const subfolder of subfolders) {
+        node.folders.push(await walk(subfolder, `${folderPath}/${subfolder.name}`));
+      }
+
+      return node;
+    };
+
+    const root = await walk(rootDetails, rootDetails.name);
+
+    return { root, summary };
+  }
+
+  /**
+   * Phase one of a consumer-account transfer: proposes the new owner on a single file
+   * Personal Google accounts cannot be made owner directly, so the source marks them as pendingOwner
+   */
+  async proposeOwnership(fileId, newOwnerEmail) {
+    const proposal = {
+      fileId,
+      fileName: null,
+      mimeType: null,
+      previousOwners: [],
+      permissionsChanged: [],
+      newOwner: newOwnerEmail,
+      status: 'pending',
+      proposedAt: null,
+      acceptedAt: null,
+      error: null
+    };
+
+    try {
+      const fileDetails = await this.getFileDetails(fileId);
+      proposal.fileName = fileDetails.name;
+      proposal.mimeType = fileDetails.mimeType;
+      proposal.previousOwners = (fileDetails.owners || []).map(owner => owner.emailAddress);
+      console.log(`📄 File: ${fileDetails.name}`);
+
+      const existingPermissions = await this.getFilePermissions(fileId);
+      let existingPermission = existingPermissions.find(
+        perm => this.isSameEmail(perm.emailAddress, newOwnerEmail)
+      );
+
+      if (existingPermission && existingPermission.role === 'owner') {
+        console.log(`✅ ${newOwnerEmail} is already the owner of this file`);
+        proposal.status = 'accepted';
+        proposal.acceptedAt = new Date().toISOString();
+        return proposal;
+      }
+
+      // The pending owner must be a writer before the proposal can be made
+      if (!existingPermission) {
+        existingPermission = await this.addPermission(fileId, newOwnerEmail, 'writer');
+        proposal.permissionsChanged.push({
+          action: 'add_permission',
+          permissionId: existingPermission.id,
+          emailAddress: newOwnerEmail,
+          role: 'writer'
+        });
+        console.log(`📝 Added writer permission for ${newOwnerEmail}`);
+      }
+
+      await this.sourceDrive.permissions.update({
+        fileId,
+        permissionId: existingPermission.id,
+        resource: {
+          role: 'writer',
+          pendingOwner: true
+        }
+      });
+
+      proposal.permissionsChanged.push({ action: 'propose_owner', emailAddress: newOwnerEmail });
+      proposal.status = 'proposed';
+      proposal.proposedAt = new Date().toISOString();
+      console.log(`📨 Proposed ${newOwnerEmail} as the new owner`);
+
+      return proposal;
+
+    } catch (error) {
+      console.error(`❌ Failed to propose ownership: ${error.message}`);
+      proposal.status = 'failed';
+      proposal.error = error.message;
+      return proposal;
+    }
+  }
+
+  /**
+   * Phase one for a list of files
+   * Returns one proposal record per file, which is what phase two consumes
+   */
+  async batchProposeOwnership(fileIds, newOwnerEmail, options = {}) {
+    const { delayBetweenTransfers = 1000 } = options;
+    const proposals = [];
+
+    console.log(`🚀 Proposing ${newOwnerEmail} as owner of ${fileIds.length} files`);
+
+    for (let i = 0; i < fileIds.length; i++) {
+      console.log(`\n📂 Processing file ${i + 1} of ${fileIds.length}`);
+      proposals.push(await this.proposeOwnership(fileIds[i], newOwnerEmail));
+
+      if (i < fileIds.length - 1) {
+        await this.delay(delayBetweenTransfers);
+      }
+    }
+
+    return {
+      proposals,
+      summary: this.summarizeProposals(proposals)
+    };
+  }
+
+  /**
+   * Phase two of a consumer-account transfer: the target account accepts pending ownership
+   * Files that never show up as pending for the target within acceptTimeout are reported as timed out
+   */
+  async acceptPendingOwnership(proposals, options = {}) {
+    const {
+      acceptTimeout = 60000,
+      pollInterval = 5000
+    } = options;
+
+    const deadline = Date.now() + acceptTimeout;
+    let waiting = proposals.filter(p => p.status === 'proposed');
+
+    console.log(`\n🤝 Accepting pending ownership for ${waiting.length} files`);
+
+    while (waiting.length > 0) {
+      for (const proposal of waiting) {
+        try {
+          const accepted = await this.acceptOwnership(proposal.fileId, proposal.newOwner);
+
+          if (accepted) {
+            proposal.status = 'accepted';
+            proposal.acceptedAt = new Date().toISOString();
+            proposal.error = null;
+            console.log(`👑 Accepted ownership of ${proposal.fileName || proposal.fileId}`);
+          }
+        } catch (error) {
+          // Remember the latest error, but keep retrying until the deadline
+          proposal.error = error.message;
+        }
+      }
+
+      waiting = waiting.filter(p => p.status === 'proposed');
+
+      if (waiting.length === 0 || Date.now() + pollInterval > deadline) {
+        break;
+      }
+
+      console.log(`⏳ ${waiting.length} files not yet pending for the target, retrying...`);
+      await this.delay(pollInterval);
+    }
+
+    waiting.forEach(proposal => {
+      proposal.status = 'timed_out';
+      if (!proposal.error) {
+        proposal.error = `Not accepted within ${Math.round(acceptTimeout / 1000)} seconds`;
+      }
+    });
+
+    const summary = this.summarizeProposals(proposals);
+
+    console.log(`\n📊 Ownership acceptance completed:`);
+    console.log(`   ✅ Accepted: ${summary.accepted}`);
+    console.log(`   ⏰ Timed out: ${summary.timedOut}`);
+    console.log(`   ❌ Failed: ${summary.failed}`);
+
+    return {
+      proposals,
+      timedOut: proposals.filter(p => p.status === 'timed_out'),
+      summary
+    };
+  }
+
+  /**
+   * Accepts a pending ownership proposal using the target account's drive client
+   * Returns false when the file is not (yet) pending for the target
+   */
+  async acceptOwnership(fileId, newOwnerEmail) {
+    try {
+      const response = await this.targetDrive.permissions.list({
+        fileId,
+        fields: 'permissions(id, role, type, emailAddress, pendingOwner)'
+      });
+      const permission = (response.data.permissions || []).find(
+        perm => this.isSameEmail(perm.emailAddress, newOwnerEmail)
+      );
+
+      if (permission && permission.role === 'owner') {
+        return true;
+      }
+
+      if (!permission || !permission.pendingOwner) {
+        return false;
+      }
+
+      await this.targetDrive.permissions.update({
+        fileId,
+        permissionId: permission.id,
+        resource: {
+          role: 'owner'
+        },
+        transferOwnership: true
+      });
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to accept ownership: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes one audit record per proposal once the accept phase is over
+   */
+  recordProposalAudit(operationId, proposals) {
+    proposals.forEach(proposal => {
+      const { fileId, fileName, mimeType, previousOwners, permissionsChanged } = proposal;
+
+      if (proposal.status === 'accepted' && proposal.proposedAt) {
+        permissionsChanged.push({ action: 'accept_ownership', emailAddress: proposal.newOwner });
+      }
+
+      this.recordAudit(operationId, {
+        fileId,
+        fileName,
+        mimeType,
+        previousOwners,
+        permissionsChanged,
+        startedAt: proposal.proposedAt
+      }, proposal.status, proposal.error ? { message: proposal.error } : null);
+    });
+  }
+
+  /**
+   * Counts proposal records by status
+   */
+  summarizeProposals(proposals) {
+    const count = status => proposals.filter(p => p.status === status).length;
 
     return {
-      results,
-      summary: { successful, failed, total: fileIds.length }
+      proposed: count('proposed'),
+      accepted: count('accepted'),
+      timedOut: count('timed_out'),
+      failed: count('failed'),
+      total: proposals.length
     };
   }
 
@@ -155,7 +760,7 @@ class TransferService {
     try {
       // First, find the permission ID for the user
       const permissions = await this.getFilePermissions(fileId);
-      const userPermission = permissions.find(perm => perm.emailAddress === emailAddress);
+      const userPermission = permissions.find(perm => this.isSameEmail(perm.emailAddress, emailAddress));
       
       if (!userPermission) {
         throw new Error(`User ${emailAddress} does not have permission to this file`);
@@ -184,7 +789,8 @@ class TransferService {
     try {
       const response = await this.sourceDrive.files.get({
         fileId,
-        fields: 'id, name, mimeType, owners, parents, webViewLink, size'
+        fields: 'id, name, mimeType, owners, parents, webViewLink, size, driveId',
+        supportsAllDrives: true
       });
       return response.data;
     } catch (error) {
@@ -199,7 +805,8 @@ class TransferService {
     try {
       const response = await this.sourceDrive.permissions.list({
         fileId,
-        fields: 'permissions(id, role, type, emailAddress, displayName)'
+        fields: 'permissions(id, role, type, emailAddress, domain, displayName, pendingOwner)',
+        supportsAllDrives: true
       });
       return response.data.permissions;
     } catch (error) {
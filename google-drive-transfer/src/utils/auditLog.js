@@ -0,0 +1,268 @@
+// src/utils/auditLog.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { formatCsv } = require('./csv');
+const config = require('../../config/config');
+
+// Columns of the CSV export, one row per file
+const CSV_COLUMNS = [
+  'operationId',
+  'operationType',
+  'actor',
+  'source',
+  'target',
+  'fileId',
+  'fileName',
+  'mimeType',
+  'previousOwners',
+  'permissionsChanged',
+  'startedAt',
+  'finishedAt',
+  'outcome',
+  'error'
+];
+
+class AuditLog {
+  constructor(auditDir = config.paths.audit) {
+    this.auditDir = auditDir;
+  }
+
+  /**
+   * Gets the audit file for a day; records are appended as JSON lines
+   */
+  getFilePath(date = new Date()) {
+    return path.join(this.auditDir, `audit-${date.toISOString().split('T')[0]}.jsonl`);
+  }
+
+  /**
+   * Appends one record synchronously, so records from concurrent transfers never interleave
+   */
+  append(record) {
+    const entry = { timestamp: new Date().toISOString(), ...record };
+
+    fs.mkdirSync(this.auditDir, { recursive: true });
+    fs.appendFileSync(this.getFilePath(), JSON.stringify(entry) + '\n');
+
+    return entry;
+  }
+
+  /**
+   * Records who started an operation and between which accounts
+   */
+  recordOperationStart({ operationId, operationType, actor, sourceEmail, targetEmail, fileCount }) {
+    return this.append({
+      kind: 'operation_start',
+      operationId,
+      operationType,
+      actor,
+      source: sourceEmail,
+      target: targetEmail,
+      fileCount
+    });
+  }
+
+  /**
+   * Records the outcome for one file of an operation
+   */
+  recordFile(operationId, entry) {
+    return this.append({
+      kind: 'file',
+      operationId,
+      fileId: entry.fileId,
+      fileName: entry.fileName || null,
+      mimeType: entry.mimeType || null,
+      previousOwners: entry.previousOwners || [],
+      permissionsChanged: entry.permissionsChanged || [],
+      startedAt: entry.startedAt || null,
+      finishedAt: entry.finishedAt || null,
+      outcome: entry.outcome,
+      error: entry.error || null
+    });
+  }
+
+  recordOperationComplete(operationId, summary) {
+    return this.append({ kind: 'operation_complete', operationId, summary });
+  }
+
+  /**
+   * Builds a report for one operation, or for every operation started within a date range
+   */
+  async buildReport({ operationId = null, from = null, to = null } = {}) {
+    const range = this.parseRange(from, to);
+    const records = await this.readRecords(range.from);
+
+    const operations = new Map();
+    const getOperation = id => {
+      if (!operations.has(id)) {
+        operations.set(id, {
+          operationId: id,
+          operationType: null,
+          actor: null,
+          source: null,
+          target: null,
+          fileCount: null,
+          startedAt: null,
+          completedAt: null,
+          summary: null,
+          files: []
+        });
+      }
+      return operations.get(id);
+    };
+
+    records
+      .filter(record => !operationId || record.operationId === operationId)
+      .forEach(record => {
+        const operation = getOperation(record.operationId);
+
+        if (record.kind === 'operation_start') {
+          Object.assign(operation, {
+            operationType: record.operationType,
+            actor: record.actor,
+            source: record.source,
+            target: record.target,
+            fileCount: record.fileCount,
+            startedAt: record.timestamp
+          });
+        } else if (record.kind === 'operation_complete') {
+          operation.completedAt = record.timestamp;
+          operation.summary = record.summary;
+        } else if (record.kind === 'file') {
+          const file = { ...record };
+          delete file.kind;
+          delete file.operationId;
+          operation.files.push(file);
+        }
+      });
+
+    // A date range selects operations by when they started
+    const selected = [...operations.values()].filter(operation => {
+      if (operationId) {
+        return true;
+      }
+      const startedAt = operation.startedAt ? Date.parse(operation.startedAt) : null;
+      return startedAt !== null && startedAt >= range.from && startedAt <= range.to;
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      filter: { operationId, from, to },
+      operations: selected
+    };
+  }
+
+  /**
+   * Turns date-only bounds into a full-day range; open bounds cover everything
+   */
+  parseRange(from, to) {
+    const parse = (value, endOfDay) => {
+      if (!value) {
+        return endOfDay ? Infinity : -Infinity;
+      }
+      const text = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+        : value;
+      const time = Date.parse(text);
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid date: ${value}`);
+      }
+      return time;
+    };
+
+    return { from: parse(from, false), to: parse(to, true) };
+  }
+
+  /**
+   * Reads records from every audit file written on or after a time, line by line
+   */
+  async readRecords(fromTime = -Infinity) {
+    let files;
+
+    try {
+      files = fs.readdirSync(this.auditDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const fromDay = Number.isFinite(fromTime) ? new Date(fromTime).toISOString().split('T')[0] : null;
+    const records = [];
+
+    const auditFiles = files
+      .filter(name => /^audit-\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+      .filter(name => !fromDay || name.slice(6, 16) >= fromDay)
+      .sort();
+
+    for (const name of auditFiles) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(path.join(this.auditDir, name)),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          // A line cut short by a crash should not hide the rest of the trail
+        }
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Flattens a report to CSV with one row per file
+   */
+  toCsv(report) {
+    const rows = [CSV_COLUMNS];
+
+    report.operations.forEach(operation => {
+      operation.files.forEach(file => {
+        const row = {
+          ...file,
+          operationId: operation.operationId,
+          operationType: operation.operationType,
+          actor: operation.actor,
+          source: operation.source,
+          target: operation.target,
+          previousOwners: file.previousOwners.join('; '),
+          permissionsChanged: file.permissionsChanged.map(change => this.describeChange(change)).join('; ')
+        };
+        rows.push(CSV_COLUMNS.map(column => row[column]));
+      });
+    });
+
+    return formatCsv(rows);
+  }
+
+  /**
+   * Describes a permission change in a few words, e.g. "add_permission bob@example.com writer"
+   */
+  describeChange(change) {
+    return [change.action, change.emailAddress, change.fromRole && `from ${change.fromRole}`, change.role]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Writes a report as CSV or JSON
+   */
+  async exportReport(report, format, filePath) {
+    const content = format === 'csv' ? this.toCsv(report) : JSON.stringify(report, null, 2);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+
+    return filePath;
+  }
+}
+
+// Shared instance, like the logger, so every service appends to the same trail
+const auditLog = new AuditLog();
+
+module.exports = auditLog;
@@ -0,0 +1,94 @@
+// src/utils/csv.js
+
+// = and @ always start a formula; + and - only when more than a number or an ID follows,
+// since Drive file IDs and negative numbers also start with -
+const FORMULA_START = /^[=@]|^[+-].*[^\w.-]/;
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * Returns an array of rows as { line, cells }: the line the row starts on (1-based) and its strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // A UTF-8 byte order mark is common in spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // A line break inside quotes still moves the following rows down
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Blank lines carry no data, but still count towards the line numbers of the rows after them
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Quotes a CSV value; values that a spreadsheet would run as a formula are prefixed with '
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows (arrays of values) as CSV text
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+module.exports = { parseCsv, escapeCsv, formatCsv };
@@ -0,0 +1,220 @@
+// src/utils/driveQuery.js
+const ValidationUtils = require('./validation');
+
+// Short names accepted wherever a MIME type filter is given
+const MIME_TYPE_ALIASES = {
+  folder: 'application/vnd.google-apps.folder',
+  document: 'application/vnd.google-apps.document',
+  doc: 'application/vnd.google-apps.document',
+  spreadsheet: 'application/vnd.google-apps.spreadsheet',
+  sheet: 'application/vnd.google-apps.spreadsheet',
+  presentation: 'application/vnd.google-apps.presentation',
+  slides: 'application/vnd.google-apps.presentation',
+  form: 'application/vnd.google-apps.form',
+  drawing: 'application/vnd.google-apps.drawing',
+  shortcut: 'application/vnd.google-apps.shortcut',
+  pdf: 'application/pdf'
+};
+
+// Filter names accepted by fromFilters, in the order their clauses are added
+const FILTER_NAMES = [
+  'mimeType',
+  'nameContains',
+  'modifiedFrom',
+  'modifiedTo',
+  'createdFrom',
+  'createdTo',
+  'owner',
+  'parent',
+  'starred',
+  'trashed',
+  'sharedWith'
+];
+
+/**
+ * Builds the q parameter of files.list from typed filters
+ * Every value is quoted and escaped here, so user input can never change the query
+ */
+class DriveQuery {
+  constructor() {
+    this.clauses = [];
+  }
+
+  /**
+   * Escapes a value for use inside a single-quoted query string
+   */
+  static escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  }
+
+  static quote(value) {
+    return `'${DriveQuery.escape(value)}'`;
+  }
+
+  /**
+   * Formats a date bound as RFC 3339; date-only upper bounds cover the whole day
+   */
+  static formatDate(value, endOfDay = false) {
+    const text = value instanceof Date ? value.toISOString() : String(value).trim();
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text)
+      ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+      : text);
+
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+
+    return new Date(time).toISOString();
+  }
+
+  /**
+   * Resolves a MIME type alias such as "sheet"; anything else must look like a MIME type
+   */
+  static resolveMimeType(value) {
+    const text = String(value).trim();
+    const mimeType = MIME_TYPE_ALIASES[text.toLowerCase()] || text;
+
+    if (!/^[\w.+-]+\/[\w.+-]+$/.test(mimeType)) {
+      throw new Error(`Invalid MIME type: ${value}`);
+    }
+
+    return mimeType;
+  }
+
+  static requireEmail(value, filter) {
+    if (!ValidationUtils.isValidEmail(value)) {
+      throw new Error(`Invalid email address for ${filter}: ${value}`);
+    }
+    return value;
+  }
+
+  /**
+   * Builds a query from a plain filter object, e.g. parsed CLI flags or menu answers
+   * Empty values are skipped; trashed files are excluded unless trashed is set
+   */
+  static fromFilters(filters = {}) {
+    const unknown = Object.keys(filters).filter(name => !FILTER_NAMES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown file filter: ${unknown.join(', ')}`);
+    }
+
+    const query = new DriveQuery();
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    if (isSet(filters.mimeType)) query.mimeType(filters.mimeType);
+    if (isSet(filters.nameContains)) query.nameContains(filters.nameContains);
+    if (isSet(filters.modifiedFrom) || isSet(filters.modifiedTo)) {
+      query.modifiedBetween(filters.modifiedFrom, filters.modifiedTo);
+    }
+    if (isSet(filters.createdFrom) || isSet(filters.createdTo)) {
+      query.createdBetween(filters.createdFrom, filters.createdTo);
+    }
+    if (isSet(filters.owner)) query.ownedBy(filters.owner);
+    if (isSet(filters.parent)) query.inFolder(filters.parent);
+    if (isSet(filters.starred)) query.starred(filters.starred);
+    query.trashed(isSet(filters.trashed) ? filters.trashed : false);
+    if (isSet(filters.sharedWith)) query.sharedWith(filters.sharedWith);
+
+    return query;
+  }
+
+  /**
+   * Matches one MIME type or any of several (an array or a comma-separated list)
+   */
+  mimeType(types) {
+    const mimeTypes = (Array.isArray(types) ? types : String(types).split(','))
+      .filter(type => String(type).trim() !== '')
+      .map(type => DriveQuery.resolveMimeType(type));
+
+    return this.any(mimeTypes.map(type => `mimeType = ${DriveQuery.quote(type)}`));
+  }
+
+  nameContains(text) {
+    return this.add(`name contains ${DriveQuery.quote(text)}`);
+  }
+
+  nameEquals(name) {
+    return this.add(`name = ${DriveQuery.quote(name)}`);
+  }
+
+  modifiedBetween(from, to) {
+    return this.between('modifiedTime', from, to);
+  }
+
+  createdBetween(from, to) {
+    return this.between('createdTime', from, to);
+  }
+
+  ownedBy(email) {
+    return this.add(`${DriveQuery.quote(DriveQuery.requireEmail(email, 'owner'))} in owners`);
+  }
+
+  inFolder(folderId) {
+    // "root" is Drive's alias for the user's My Drive folder
+    if (folderId !== 'root' && !ValidationUtils.isValidFileId(folderId)) {
+      throw new Error(`Invalid folder ID: ${folderId}`);
+    }
+    return this.add(`${DriveQuery.quote(folderId)} in parents`);
+  }
+
+  starred(value = true) {
+    return this.add(`starred = ${this.toBoolean(value, 'starred')}`);
+  }
+
+  trashed(value = true) {
+    return this.add(`trashed = ${this.toBoolean(value, 'trashed')}`);
+  }
+
+  /**
+   * Matches files the user can read or edit through a direct share
+   */
+  sharedWith(email) {
+    const user = DriveQuery.quote(DriveQuery.requireEmail(email, 'shared with'));
+    return this.any([`${user} in readers`, `${user} in writers`]);
+  }
+
+  between(field, from, to) {
+    if (from !== undefined && from !== null && from !== '') {
+      this.add(`${field} >= ${DriveQuery.quote(DriveQuery.formatDate(from))}`);
+    }
+    if (to !== undefined && to !== null && to !== '') {
+      this.add(`${field} <= ${DriveQuery.quote(DriveQuery.formatDate(to, true))}`);
+    }
+    return this;
+  }
+
+  toBoolean(value, filter) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return true;
+    if (['false', 'no', 'n', '0'].includes(text)) return false;
+    throw new Error(`Invalid value for ${filter}: ${value} (expected yes or no)`);
+  }
+
+  any(clauses) {
+    if (clauses.length === 0) {
+      return this;
+    }
+    return this.add(clauses.length === 1 ? clauses[0] : `(${clauses.join(' or ')})`);
+  }
+
+  add(clause) {
+    this.clauses.push(clause);
+    return this;
+  }
+
+  /**
+   * Returns the q string; clauses are combined with "and"
+   */
+  build() {
+    return this.clauses.join(' and ');
+  }
+}
+
+DriveQuery.MIME_TYPE_ALIASES = MIME_TYPE_ALIASES;
+DriveQuery.FILTER_NAMES = FILTER_NAMES;
+
+module.exports = DriveQuery;
@@ -0,0 +1,151 @@
+// src/utils/logTransports.js
+const fs = require('fs');
+const path = require('path');
+
+const COLOR_CODES = {
+  INFO: '\x1b[36m',    // Cyan
+  SUCCESS: '\x1b[32m', // Green
+  WARN: '\x1b[33m',    // Yellow
+  ERROR: '\x1b[31m',   // Red
+  DEBUG: '\x1b[35m'    // Magenta
+};
+const RESET_COLOR = '\x1b[0m';
+
+// Matches both the active day file and its size-rotated parts: app-2024-01-31.log, app-2024-01-31.2.log
+const LOG_FILE_PATTERN = /^app-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+
+/**
+ * Human-readable, color-coded output for a terminal
+ * The console transport writes through console.log so the CLI can reroute it
+ */
+class ConsoleTransport {
+  constructor({ stream = null } = {}) {
+    this.stream = stream;
+    this.interactive = true;
+  }
+
+  write(entry) {
+    const color = COLOR_CODES[entry.level] || '';
+    let text = `${color}[${entry.timestamp}] ${entry.level}: ${entry.message}${RESET_COLOR}`;
+
+    if (entry.data) {
+      text += `\n${color}${JSON.stringify(entry.data, null, 2)}${RESET_COLOR}`;
+    }
+
+    if (this.stream) {
+      this.stream.write(`${text}\n`);
+    } else {
+      console.log(text);
+    }
+  }
+}
+
+/**
+ * One JSON object per line in a daily file, with size-based rotation and retention
+ */
+class JsonLinesFileTransport {
+  constructor({ dir, maxSize, maxAgeDays, maxFiles }) {
+    this.dir = dir;
+    this.maxSize = maxSize;
+    this.maxAgeDays = maxAgeDays;
+    this.maxFiles = maxFiles;
+    this.interactive = false;
+    this.currentDay = null;
+    this.currentSize = 0;
+  }
+
+  getFilePath(day) {
+    return path.join(this.dir, `app-${day}.log`);
+  }
+
+  /**
+   * Appends synchronously, so entries are never lost or reordered when the process exits
+   */
+  write(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const day = new Date().toISOString().split('T')[0];
+
+    if (day !== this.currentDay) {
+      this.openDay(day);
+    } else if (this.currentSize > 0 && this.currentSize + Buffer.byteLength(line) > this.maxSize) {
+      this.rotate(day);
+    }
+
+    fs.appendFileSync(this.getFilePath(day), line);
+    this.currentSize += Buffer.byteLength(line);
+  }
+
+  /**
+   * Starts writing to a new day's file; an earlier run may have written to it already
+   */
+  openDay(day) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    this.currentDay = day;
+    try {
+      this.currentSize = fs.statSync(this.getFilePath(day)).size;
+    } catch {
+      this.currentSize = 0;
+    }
+
+    this.applyRetention();
+  }
+
+  /**
+   * Moves a full day file aside as the next numbered part
+   */
+  rotate(day) {
+    const parts = fs.readdirSync(this.dir)
+      .map(name => name.match(LOG_FILE_PATTERN))
+      .filter(match => match && match[1] === day && match[2])
+      .map(match => Number(match[2]));
+    const next = parts.length > 0 ? Math.max(...parts) + 1 : 1;
+
+    fs.renameSync(this.getFilePath(day), path.join(this.dir, `app-${day}.${next}.log`));
+    this.currentSize = 0;
+
+    this.applyRetention();
+  }
+
+  /**
+   * Deletes log files older than maxAgeDays, then all but the newest maxFiles
+   */
+  applyRetention() {
+    const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+    const active = this.currentDay ? `app-${this.currentDay}.log` : null;
+
+    const files = fs.readdirSync(this.dir)
+      .filter(name => LOG_FILE_PATTERN.test(name) && name !== active)
+      .map(name => ({ name, mtime: fs.statSync(path.join(this.dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+
+    files.forEach((file, index) => {
+      // The active file counts towards maxFiles
+      if (file.mtime < cutoff || index >= this.maxFiles - 1) {
+        try {
+          fs.unlinkSync(path.join(this.dir, file.name));
+        } catch {
+          // Another process may have removed it already
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Builds a transport from its configured name
+ */
+function createTransport(name, options) {
+  switch (name) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'stderr':
+      return new ConsoleTransport({ stream: process.stderr });
+    case 'file':
+      return new JsonLinesFileTransport(options);
+    default:
+      throw new Error(`Unknown log transport "${name}" (expected console, stderr or file)`);
+  }
+}
+
+module.exports = { ConsoleTransport, JsonLinesFileTransport, createTransport };
@@ -1,21 +1,40 @@
 // src/utils/logger.js
-const fs = require('fs');
-const path = require('path');
+const os = require('os');
+const auditLog = require('./auditLog');
+const Redactor = require('./redactor');
+const { createTransport } = require('./logTransports');
+const config = require('../../config/config');
+
+// Entries below the configured level are dropped; SUCCESS is informational
+const LEVELS = {
+  DEBUG: 10,
+  INFO: 20,
+  SUCCESS: 20,
+  WARN: 30,
+  ERROR: 40
+};
 
 class Logger {
-  constructor() {
-    this.logDir = './logs';
-    this.ensureLogDirectory();
+  constructor(options = config.logging) {
+    this.configure(options);
   }
 
   /**
-   * Ensures the logs directory exists
-   * This prevents errors when trying to write log files
+   * Applies logging settings; the CLI calls this to move console output to stderr
+   * Settings not passed keep their configured values
    */
-  ensureLogDirectory() {
-    if (!fs.existsSync(this.logDir)) {
-      fs.mkdirSync(this.logDir, { recursive: true });
+  configure(options = {}) {
+    this.options = { ...config.logging, ...this.options, ...options };
+
+    const level = String(this.options.level).toUpperCase();
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${this.options.level}" (expected debug, info, warn or error)`);
     }
+
+    this.minLevel = LEVELS[level];
+    this.logDir = this.options.dir;
+    this.redactor = new Redactor({ mode: this.options.redaction, salt: this.options.hashSalt });
+    this.transports = this.options.transports.map(name => createTransport(name, this.options));
   }
 
   /**
@@ -30,47 +49,31 @@ class Logger {
    * Generic logging method that handles different log levels
    * This is the foundation for all other logging methods
    */
-  log(level, message, data = null) {
-    const timestamp = this.getTimestamp();
-    const logEntry = {
-      timestamp,
-      level: level.toUpperCase(),
-      message,
-      ...(data && { data })
-    };
-
-    // Console output with color coding
-    const colorCodes = {
-      INFO: '\x1b[36m',    // Cyan
-      SUCCESS: '\x1b[32m', // Green  
-      WARN: '\x1b[33m',    // Yellow
-      ERROR: '\x1b[31m',   // Red
-      DEBUG: '\x1b[35m'    // Magenta
-    };
+  log(level, message, data = null, options = {}) {
+    const { interactive = true } = options;
+    const levelName = level.toUpperCase();
 
-    const resetColor = '\x1b[0m';
-    const color = colorCodes[level.toUpperCase()] || '';
-    
-    console.log(`${color}[${timestamp}] ${level.toUpperCase()}: ${message}${resetColor}`);
-    
-    if (data) {
-      console.log(`${color}${JSON.stringify(data, null, 2)}${resetColor}`);
+    if ((LEVELS[levelName] || LEVELS.INFO) < this.minLevel) {
+      return;
     }
 
-    // File output
-    this.writeToFile(logEntry);
-  }
-
-  /**
-   * Writes log entries to a file
-   * This creates a permanent record of application activity
-   */
-  writeToFile(logEntry) {
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    const logFile = path.join(this.logDir, `app-${today}.log`);
-    const logLine = JSON.stringify(logEntry) + '\n';
+    const logEntry = {
+      timestamp: this.getTimestamp(),
+      level: levelName,
+      message: this.redactor.redact(message),
+      ...(data && { data: this.redactor.redact(data) })
+    };
 
-    fs.appendFileSync(logFile, logLine);
+    this.transports
+      .filter(transport => interactive || !transport.interactive)
+      .forEach(transport => {
+        try {
+          transport.write(logEntry);
+        } catch (error) {
+          // A full disk or a closed stream must not take the transfer down with it
+          process.stderr.write(`Log transport failed: ${error.message}\n`);
+        }
+      });
   }
 
   /**
@@ -90,39 +93,65 @@ class Logger {
   }
 
   error(message, error = null) {
+    // Stack traces can carry file paths and argument values, so they are opt-in
     const errorData = error ? {
       message: error.message,
-      stack: error.stack,
+      ...((this.options.stackTraces || this.minLevel === LEVELS.DEBUG) && { stack: error.stack }),
       ...(error.code && { code: error.code })
     } : null;
-    
+
     this.log('ERROR', message, errorData);
   }
 
   debug(message, data = null) {
-    if (process.env.NODE_ENV === 'development') {
-      this.log('DEBUG', message, data);
-    }
+    this.log('DEBUG', message, data);
   }
 
   /**
-   * Logs the start of a transfer operation
-   * This creates a clear audit trail
+   * Logs the start of a transfer operation and opens its audit record
+   * Returns the operation ID that every per-file entry and the completion entry are tied to
    */
-  logTransferStart(sourceEmail, targetEmail, fileCount) {
-    this.info('Transfer operation started', {
+  logTransferStart(sourceEmail, targetEmail, fileCount, details = {}) {
+    const operation = {
+      operationId: this.generateOperationId(),
+      operationType: details.type || 'transfer',
+      actor: details.actor || os.userInfo().username,
       sourceEmail,
       targetEmail,
-      fileCount,
-      operationId: this.generateOperationId()
-    });
+      fileCount
+    };
+
+    this.info('Transfer operation started', operation);
+    auditLog.recordOperationStart(operation);
+
+    return operation.operationId;
+  }
+
+  /**
+   * Logs the outcome for one file of an operation
+   * Only written to the log file and the audit trail; the console already shows progress
+   */
+  logFileTransfer(operationId, entry) {
+    this.log(entry.outcome === 'failed' ? 'ERROR' : 'INFO', `File ${entry.outcome}`, {
+      operationId,
+      fileId: entry.fileId,
+      fileName: entry.fileName,
+      ...(entry.error && { error: entry.error })
+    }, { interactive: false });
+
+    // The audit trail is a compliance record and is never redacted
+    auditLog.recordFile(operationId, entry);
   }
 
   /**
    * Logs the completion of a transfer operation
    */
-  logTransferComplete(summary) {
-    this.success('Transfer operation completed', summary);
+  logTransferComplete(summary, operationId = null) {
+    this.success('Transfer operation completed', operationId ? { operationId, ...summary } : summary);
+
+    if (operationId) {
+      auditLog.recordOperationComplete(operationId, summary);
+    }
   }
 
   /**
@@ -0,0 +1,95 @@
+// src/utils/redactor.js
+const crypto = require('crypto');
+
+const EMAIL_PATTERN = /[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@([a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+)/g;
+
+// Google access tokens, refresh tokens, JWTs and bearer headers
+const TOKEN_PATTERNS = [
+  /ya29\.[\w.-]+/g,
+  /1\/\/[\w-]{20,}/g,
+  /eyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+  /Bearer\s+[\w.~+/-]+=*/gi
+];
+
+// Values under these keys are never logged as-is
+const SECRET_KEY_PATTERN = /token|secret|password|passphrase|authorization|api_?key|code_?verifier|private_?key/i;
+const FILE_NAME_KEYS = ['fileName', 'folderName', 'name', 'title', 'path'];
+
+/**
+ * Hides email addresses, file names and tokens in log entries
+ * File names are only known under the FILE_NAME_KEYS data keys: free text such as a Drive
+ * error message is only searched for email addresses and tokens, so a name in it is kept
+ */
+class Redactor {
+  /**
+   * mode is 'none', 'redact' (replace with placeholders) or 'hash' (stable short hashes,
+   * so the same address or file can still be followed through the logs)
+   * Hashes need a secret salt: without one, hashing a directory of the org's addresses reverses them
+   */
+  constructor({ mode = 'none', salt = '' } = {}) {
+    if (!['none', 'redact', 'hash'].includes(mode)) {
+      throw new Error(`Unknown log redaction mode "${mode}" (expected none, redact or hash)`);
+    }
+    if (mode === 'hash' && !salt) {
+      throw new Error('Log redaction mode "hash" needs a secret LOG_HASH_SALT');
+    }
+    this.mode = mode;
+    this.salt = salt;
+  }
+
+  /**
+   * Returns a redacted copy of a log message or data object
+   */
+  redact(value, key = null) {
+    if (this.mode === 'none' || value === null || value === undefined) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, key));
+    }
+
+    if (typeof value === 'object') {
+      const copy = {};
+      Object.entries(value).forEach(([childKey, childValue]) => {
+        copy[childKey] = this.redact(childValue, childKey);
+      });
+      return copy;
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    if (key && SECRET_KEY_PATTERN.test(key)) {
+      return '[REDACTED]';
+    }
+
+    if (key && FILE_NAME_KEYS.includes(key)) {
+      return this.mode === 'hash' ? `name:${this.hash(value)}` : '[FILE NAME]';
+    }
+
+    return this.redactString(value);
+  }
+
+  /**
+   * Replaces email addresses and token-like strings inside free text
+   */
+  redactString(text) {
+    let result = text;
+
+    TOKEN_PATTERNS.forEach(pattern => {
+      result = result.replace(pattern, '[REDACTED]');
+    });
+
+    return result.replace(EMAIL_PATTERN, (email, domain) => (
+      this.mode === 'hash' ? `user-${this.hash(email.toLowerCase())}@${domain}` : `[EMAIL]@${domain}`
+    ));
+  }
+
+  hash(value) {
+    return crypto.createHmac('sha256', this.salt).update(value).digest('hex').slice(0, 12);
+  }
+}
+
+module.exports = Redactor;
@@ -0,0 +1,295 @@
+// src/utils/requestScheduler.js
+const config = require('../../config/config');
+
+// 403 reasons Drive uses for quota and rate limits (other 403s are real permission errors)
+const RATE_LIMIT_REASONS = ['userRateLimitExceeded', 'rateLimitExceeded', 'sharingRateLimitExceeded'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Which stats counter each kind of retryable error is counted under
+const RETRY_COUNTERS = {
+  rateLimited: 'rateLimited',
+  serverError: 'serverErrors',
+  networkError: 'networkErrors'
+};
+
+let sharedScheduler = null;
+
+class RequestScheduler {
+  constructor(options = {}) {
+    const settings = { ...config.rateLimit, ...options };
+
+    this.concurrency = settings.concurrency;
+    this.maxRate = settings.requestsPerSecond;
+    this.minRate = Math.min(1, this.maxRate);
+    this.rate = this.maxRate;
+    this.burst = settings.burst;
+    this.maxRetries = settings.maxRetries;
+    this.baseDelay = settings.baseDelay;
+    this.maxDelay = settings.maxDelay;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      serverErrors: 0,
+      networkErrors: 0,
+      gaveUp: 0,
+      backoffMs: 0
+    };
+  }
+
+  /**
+   * Returns the scheduler shared by every service in the process
+   * Sharing one instance is what keeps the combined request rate under the quota
+   */
+  static getShared() {
+    if (!sharedScheduler) {
+      sharedScheduler = new RequestScheduler();
+    }
+    return sharedScheduler;
+  }
+
+  /**
+   * Runs an API call once a concurrency slot and a rate-limit token are available
+   * Retryable failures are retried with exponential backoff and jitter
+   */
+  async schedule(request) {
+    for (let attempt = 0; ; attempt++) {
+      let error;
+
+      await this.acquireSlot();
+      try {
+        await this.acquireToken();
+        this.stats.requests++;
+        const response = await request();
+        this.onSuccess();
+        return response;
+      } catch (requestError) {
+        error = requestError;
+      } finally {
+        // The slot is freed before backing off so other requests can proceed
+        this.releaseSlot();
+      }
+
+      const kind = this.classifyError(error);
+      if (!kind || attempt >= this.maxRetries) {
+        if (kind) {
+          this.stats.gaveUp++;
+        }
+        throw error;
+      }
+
+      this.recordRetry(kind);
+      const wait = this.getBackoff(attempt, error);
+      this.stats.backoffMs += wait;
+      await this.sleep(wait);
+    }
+  }
+
+  /**
+   * Wraps a googleapis client so every resource method goes through the scheduler
+   * e.g. wrap(drive).files.get(params) is scheduled like any other request
+   */
+  wrap(client) {
+    const scheduler = this;
+    const wrappedResources = new Map();
+
+    return new Proxy(client, {
+      get(target, property) {
+        const resource = target[property];
+
+        if (!resource || typeof resource !== 'object') {
+          return resource;
+        }
+
+        if (!wrappedResources.has(property)) {
+          wrappedResources.set(property, new Proxy(resource, {
+            get(resourceTarget, method) {
+              const value = resourceTarget[method];
+              if (typeof value !== 'function') {
+                return value;
+              }
+              return (...args) => scheduler.schedule(() => value.apply(resourceTarget, args));
+            }
+          }));
+        }
+
+        return wrappedResources.get(property);
+      }
+    });
+  }
+
+  /**
+   * Decides whether an error is worth retrying
+   * Returns 'rateLimited', 'serverError', 'networkError' or null
+   */
+  classifyError(error) {
+    const status = Number((error.response && error.response.status) || error.code);
+
+    if (status === 429) {
+      return 'rateLimited';
+    }
+
+    if (status === 403) {
+      const reasons = this.getErrorReasons(error);
+      return reasons.some(reason => RATE_LIMIT_REASONS.includes(reason)) ? 'rateLimited' : null;
+    }
+
+    if (status >= 500 && status < 600) {
+      return 'serverError';
+    }
+
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+      return 'networkError';
+    }
+
+    return null;
+  }
+
+  /**
+   * Collects the reason codes from a Google API error
+   */
+  getErrorReasons(error) {
+    const errors = error.errors ||
+      (error.response && error.response.data && error.response.data.error && error.response.data.error.errors) ||
+      [];
+    return errors.map(item => item.reason);
+  }
+
+  /**
+   * Computes how long to wait before the next attempt
+   * Retry-After wins when the server sends it; otherwise exponential backoff with full jitter
+   */
+  getBackoff(attempt, error) {
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Reads the Retry-After header, in seconds or as an HTTP date
+   */
+  getRetryAfter(error) {
+    const headers = error.response && error.response.headers;
+    if (!headers) {
+      return null;
+    }
+
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Counts a retry and, for rate limits, halves the request rate
+   */
+  recordRetry(kind) {
+    this.stats.retries++;
+    this.stats[RETRY_COUNTERS[kind]]++;
+
+    if (kind === 'rateLimited') {
+      this.rate = Math.max(this.minRate, this.rate / 2);
+    }
+  }
+
+  /**
+   * Slowly raises the request rate back towards the configured maximum
+   */
+  onSuccess() {
+    if (this.rate < this.maxRate) {
+      this.rate = Math.min(this.maxRate, this.rate + this.maxRate * 0.05);
+    }
+  }
+
+  /**
+   * Waits for a free concurrency slot
+   */
+  acquireSlot() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  /**
+   * Hands the slot to the next waiting request, if any
+   */
+  releaseSlot() {
+    if (this.active === 0) {
+      return;
+    }
+
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Takes one token from the bucket, waiting for a refill when it is empty
+   */
+  async acquireToken() {
+    for (;;) {
+      const now = Date.now();
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+      this.lastRefill = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await this.sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+
+  /**
+   * Returns a copy of the retry statistics
+   */
+  getStats() {
+    return { ...this.stats, currentRate: Math.round(this.rate * 100) / 100 };
+  }
+
+  /**
+   * Returns the retry statistics accumulated since an earlier getStats() snapshot
+   * The scheduler is shared, so this includes requests made by anything running concurrently
+   */
+  getStatsSince(snapshot) {
+    const current = this.getStats();
+    const delta = {};
+
+    Object.keys(this.stats).forEach(key => {
+      delta[key] = current[key] - (snapshot[key] || 0);
+    });
+
+    return delta;
+  }
+
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RequestScheduler;
\ No newline at end of file
@@ -1,4 +1,7 @@
 // src/utils/validation.js
+const fs = require('fs');
+const DeviceCodeFlow = require('../auth/deviceCodeFlow');
+
 class ValidationUtils {
   /**
    * Validates an email address using a comprehensive regex pattern
@@ -16,17 +19,30 @@ class ValidationUtils {
   }
 
   /**
-   * Validates a Google Drive file ID
-   * Google Drive file IDs have specific patterns we can check
+   * Checks whether an email address belongs to a personal (consumer) Google account
+   * Ownership cannot be transferred to these directly; the recipient has to accept it
+   */
+  static isConsumerAccount(email) {
+    if (!this.isValidEmail(email)) {
+      return false;
+    }
+
+    const domain = email.split('@').pop().toLowerCase();
+    return ['gmail.com', 'googlemail.com'].includes(domain);
+  }
+
+  /**
+   * Validates the shape of a Google Drive file ID
+   * Only the character set is checked: most IDs are 28-44 characters, but older
+   * Docs IDs are shorter, so whether a file exists is left to the Drive API
    */
   static isValidFileId(fileId) {
     if (!fileId || typeof fileId !== 'string') {
       return false;
     }
 
-    // Google Drive file IDs are typically 28-44 characters long
-    // and contain alphanumeric characters, hyphens, and underscores
-    const fileIdRegex = /^[a-zA-Z0-9_-]{28,44}$/;
+    // Alphanumeric characters, hyphens and underscores, within a sane length
+    const fileIdRegex = /^[a-zA-Z0-9_-]{10,128}$/;
     return fileIdRegex.test(fileId);
   }
 
@@ -60,6 +76,25 @@ class ValidationUtils {
    * This ensures all required data is present and correct before starting
    */
   static validateTransferParams(sourceEmail, targetEmail, fileIds) {
+    const errors = this.validateAccountPair(sourceEmail, targetEmail);
+
+    // Validate file IDs
+    const fileIdValidation = this.validateFileIds(fileIds);
+    if (!fileIdValidation.valid) {
+      errors.push(fileIdValidation.error);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validates the source and target accounts of a transfer
+   * Returns a list of errors; used on its own when the files are found later, as in offboarding
+   */
+  static validateAccountPair(sourceEmail, targetEmail) {
     const errors = [];
 
     // Validate source email
@@ -77,16 +112,7 @@ class ValidationUtils {
       errors.push('Source and target email addresses cannot be the same');
     }
 
-    // Validate file IDs
-    const fileIdValidation = this.validateFileIds(fileIds);
-    if (!fileIdValidation.valid) {
-      errors.push(fileIdValidation.error);
-    }
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+    return errors;
   }
 
   /**
@@ -109,6 +135,15 @@ class ValidationUtils {
    * This ensures the application is properly configured before running
    */
   static validateConfig(config) {
+    const mode = this.getNestedProperty(config, 'auth.mode') || 'browser';
+
+    if (mode === 'service-account') {
+      const result = this.validateServiceAccountConfig(config);
+      result.errors.push(...this.validateSchedulerConfig(config.rateLimit));
+      result.valid = result.valid && result.errors.length === 0;
+      return result;
+    }
+
     const requiredFields = [
       'google.clientId',
       'google.clientSecret',
@@ -124,9 +159,65 @@ class ValidationUtils {
       }
     });
 
+    const errors = [];
+    const backend = this.getNestedProperty(config, 'tokens.backend');
+
+    if (backend && !['encrypted-file', 'vault'].includes(backend)) {
+      errors.push(`Unknown token store backend "${backend}" (expected encrypted-file or vault)`);
+    }
+
+    if (mode === 'device') {
+      const scopeProblem = DeviceCodeFlow.checkScopes(this.getNestedProperty(config, 'google.scopes') || []);
+      if (scopeProblem) {
+        errors.push(scopeProblem);
+      }
+    }
+
+    errors.push(...this.validateSchedulerConfig(config.rateLimit));
+
     return {
-      valid: missingFields.length === 0,
-      missingFields
+      valid: missingFields.length === 0 && errors.length === 0,
+      missingFields,
+      errors
+    };
+  }
+
+  /**
+   * Validates the service account key used for domain-wide delegation
+   * The key file replaces the OAuth client settings in this mode
+   */
+  static validateServiceAccountConfig(config) {
+    const missingFields = [];
+    const errors = [];
+    const keyPath = this.getNestedProperty(config, 'paths.credentials');
+
+    if (!keyPath) {
+      missingFields.push('paths.credentials');
+      return { valid: false, missingFields, errors };
+    }
+
+    let key;
+    try {
+      key = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+    } catch (error) {
+      errors.push(`Cannot read service account key ${keyPath}: ${error.message}`);
+      return { valid: false, missingFields, errors };
+    }
+
+    if (key.type !== 'service_account') {
+      errors.push(`${keyPath} is not a service account key (type is "${key.type}")`);
+    }
+
+    ['client_email', 'client_id', 'private_key'].forEach(field => {
+      if (!key[field]) {
+        missingFields.push(`${keyPath}: ${field}`);
+      }
+    });
+
+    return {
+      valid: missingFields.length === 0 && errors.length === 0,
+      missingFields,
+      errors
     };
   }
 
@@ -160,6 +251,43 @@ class ValidationUtils {
       errors
     };
   }
+
+  /**
+   * Validates how many transfers or requests may run at once
+   */
+  static isValidConcurrency(concurrency) {
+    return Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= 50;
+  }
+
+  /**
+   * Validates the request scheduler settings
+   * Returns a list of errors so it can be folded into validateConfig
+   */
+  static validateSchedulerConfig(rateLimit) {
+    if (!rateLimit) {
+      return [];
+    }
+
+    const errors = this.validateRateLimitParams(rateLimit.baseDelay, rateLimit.maxRetries).errors;
+
+    if (!this.isValidConcurrency(rateLimit.concurrency)) {
+      errors.push('API concurrency must be an integer between 1 and 50');
+    }
+
+    if (typeof rateLimit.requestsPerSecond !== 'number' || !(rateLimit.requestsPerSecond > 0)) {
+      errors.push('Requests per second must be a positive number');
+    }
+
+    if (!Number.isInteger(rateLimit.burst) || rateLimit.burst < 1) {
+      errors.push('Burst must be a positive integer');
+    }
+
+    if (typeof rateLimit.maxDelay !== 'number' || rateLimit.maxDelay < rateLimit.baseDelay) {
+      errors.push('Max retry delay must be at least the base retry delay');
+    }
+
+    return errors;
+  }
 }
 
 module.exports = ValidationUtils;
\ No newline at end of file